@@ -0,0 +1,353 @@
+import { getFunctionDeclarations } from "./tools.js";
+import { extractToolCall } from "./repair.js";
+import { validateInput, formatErrors } from "./schema.js";
+import { estimateUsage } from "./usage.js";
+import { withRetry } from "./retry.js";
+
+// Shared plan/action/observation loop used by every agent entry point.
+// Works against any provider from providers.js using native tool calls.
+// The transcript is kept across runs so follow-up requests have the prior context.
+export class AgentRunner {
+  constructor({
+    provider,
+    system,
+    tools,
+    maxSteps = 50,
+    maxRepairs = 3,
+    messages = [],
+    context = null,
+    permissions = null,
+    workspace = null,
+    checkpoints = null,
+    review = null,
+    usage = null,
+    retry = {},
+    stream = true,
+    onStart,
+    onStep,
+    onToken,
+    onObservation,
+    onProgress,
+    onRepair,
+    onRetry,
+    onUsage,
+    onMessage,
+    onCompact,
+    onFinish,
+  } = {}) {
+    this.provider = provider;
+    this.system = system;
+    this.tools = tools;
+    this.declarations = getFunctionDeclarations(tools);
+    this.maxSteps = maxSteps;
+    this.maxRepairs = maxRepairs;
+    this.messages = messages;
+    this.context = context;
+    this.permissions = permissions;
+    this.workspace = workspace;
+    this.checkpoints = checkpoints;
+    this.review = review;
+    this.usage = usage;
+    this.retry = retry;
+    this.stream = stream;
+    this.hooks = {
+      onStart: onStart || (() => {}),
+      onStep: onStep || (() => {}),
+      onToken: onToken || (() => {}),
+      onObservation: onObservation || (() => {}),
+      onProgress: onProgress || (() => {}),
+      onRepair: onRepair || (() => {}),
+      onRetry: onRetry || (() => {}),
+      onUsage: onUsage || (() => {}),
+      onMessage: onMessage || (() => {}),
+      onCompact: onCompact || (() => {}),
+      onFinish: onFinish || (() => {}),
+    };
+  }
+
+  // Run a single user request until the model answers without calling a tool,
+  // the step limit or the usage budget is reached, an unrecoverable error occurs
+  // or the signal is aborted (Ctrl+C), which cancels the model request and running commands.
+  // tools replaces the toolset for this run only; a successful call to the stopAfter tool
+  // ends the run with status "stopped" (used by plan mode to wait for the user's approval).
+  async run(prompt, { signal, tools, stopAfter } = {}) {
+    const saved = { tools: this.tools, declarations: this.declarations };
+    if (tools) {
+      this.tools = tools;
+      this.declarations = getFunctionDeclarations(tools);
+    }
+    try {
+      return await this.loop(prompt, { signal, stopAfter });
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  async loop(prompt, { signal, stopAfter }) {
+    this.hooks.onStart(prompt);
+    this.append({ role: "user", content: prompt });
+    this.checkpoints?.startTurn(prompt);
+    this.usage?.startTask();
+    let stepCount = 0;
+    let repairs = 0;
+    let result = { status: "max_steps" };
+
+    // Consecutive invalid steps are answered with a corrective observation and retried;
+    // returns false once the retry budget is used up
+    const recover = (problem) => {
+      repairs++;
+      if (repairs > this.maxRepairs) {
+        result = {
+          status: "invalid_response",
+          response: `${problem} (gave up after ${this.maxRepairs} corrective retries)`,
+        };
+        return false;
+      }
+      this.hooks.onRepair({ problem, attempt: repairs, maxRepairs: this.maxRepairs });
+      return true;
+    };
+
+    while (stepCount < this.maxSteps) {
+      if (signal?.aborted) {
+        result = { status: "cancelled" };
+        break;
+      }
+
+      // Checked between steps so the transcript never ends with unanswered tool calls
+      const overBudget = this.usage?.exceeded();
+      if (overBudget) {
+        result = { status: "budget_exceeded", response: overBudget };
+        break;
+      }
+
+      try {
+        stepCount++;
+
+        if (this.context) {
+          const compaction = await this.context.fit(this.system, this.messages, { signal, retry: this.retry });
+          if (compaction) this.hooks.onCompact(compaction);
+        }
+
+        const { response, streamed } = await this.generate(stepCount, signal);
+        if (this.usage) {
+          const usage = this.usage.record(
+            response.usage || estimateUsage({ system: this.system, messages: this.messages }, response)
+          );
+          this.hooks.onUsage(usage, stepCount);
+        }
+
+        // A tool call written out as JSON text is turned into a real call
+        if (response.toolCalls.length === 0) {
+          const call = extractToolCall(response.text, Object.keys(this.tools));
+          if (call) {
+            response.toolCalls = [{ id: `call_${this.messages.length}_0`, ...call }];
+            response.text = "";
+          }
+        }
+
+        if (!response.text.trim() && response.toolCalls.length === 0) {
+          const problem = `The reply was empty (finish reason: ${response.finishReason || "none"}).`;
+          if (!recover(problem)) break;
+          this.append({ role: "user", content: correction(problem) });
+          continue;
+        }
+
+        this.append({ role: "assistant", content: response.text, toolCalls: response.toolCalls });
+
+        if (response.toolCalls.length === 0) {
+          const step = { type: "output", output: response.text, streamed };
+          this.hooks.onStep(step, stepCount);
+          result = { status: "completed", output: step };
+          break;
+        }
+
+        if (response.text.trim()) {
+          this.hooks.onStep({ type: "plan", plan: response.text, streamed }, stepCount);
+        }
+
+        const problems = [];
+        for (const call of response.toolCalls) {
+          const { problem, input } = this.validateCall(call);
+          const step = { type: "action", id: call.id, function: call.name, input: input ?? call.args };
+          this.hooks.onStep(step, stepCount);
+
+          if (problem) {
+            problems.push(problem);
+          }
+
+          let outcome;
+          if (problem) {
+            outcome = {
+              observation: { type: "observation", observation: `Error: ${correction(problem)}` },
+              error: new Error(problem),
+            };
+          } else if (signal?.aborted) {
+            // Every call still gets a result so the transcript stays valid
+            outcome = refused("Cancelled by the user");
+          } else {
+            outcome = await this.executeAction(step, signal);
+          }
+          const { observation, error } = outcome;
+          // problem is set when the call was invalid and never reached the tool
+          this.hooks.onObservation(observation, { step, error, problem });
+          this.append({
+            role: "tool",
+            toolCallId: call.id,
+            name: call.name,
+            content: observation.observation,
+          });
+
+          if (call.name === stopAfter && !problem && !error) {
+            result = { status: "stopped", tool: call.name, input };
+          }
+        }
+
+        if (result.status === "stopped") {
+          break;
+        }
+        if (problems.length === 0) {
+          repairs = 0;
+        } else if (!recover(problems.join("\n"))) {
+          break;
+        }
+      } catch (error) {
+        result = signal?.aborted ? { status: "cancelled" } : { status: "error", error };
+        break;
+      }
+    }
+
+    // Tell the model on the next request that this one was cut short
+    if (result.status === "cancelled") {
+      this.append({ role: "assistant", content: "[Cancelled by the user before the request was finished]" });
+    }
+
+    result.steps = stepCount;
+    if (this.usage) {
+      result.usage = { task: this.usage.task, session: this.usage.session };
+    }
+    this.hooks.onFinish(result);
+    return result;
+  }
+
+  // Check a tool call against the tool's schema. Returns the coerced input,
+  // or a description of what is wrong with the call.
+  validateCall(call) {
+    if (call.error) {
+      return { problem: `Invalid call to '${call.name}': ${call.error}.` };
+    }
+    if (!this.tools[call.name]) {
+      return { problem: `Unknown tool '${call.name}'. Available tools: ${Object.keys(this.tools).join(", ")}.` };
+    }
+    if (!call.args || typeof call.args !== "object" || Array.isArray(call.args)) {
+      return { problem: `Arguments for '${call.name}' must be a JSON object.` };
+    }
+
+    const { value, errors } = validateInput(this.tools[call.name].parameters, call.args);
+    if (errors.length > 0) {
+      return { problem: `Invalid input for '${call.name}':\n${formatErrors(errors)}` };
+    }
+    return { input: value };
+  }
+
+  // Ask the model for the next step, streaming its text through onToken when enabled.
+  // Transient failures are retried (see retry.js), but not once streamed text was shown.
+  async generate(stepCount, signal) {
+    const request = {
+      system: this.system,
+      messages: this.messages,
+      tools: this.declarations,
+    };
+
+    let streamed = false;
+    const response = await withRetry(
+      ({ signal, keepAlive }) => {
+        if (!this.stream) {
+          return this.provider.generate({ ...request, signal });
+        }
+        // Every chunk restarts the timeout, including tool call arguments that show no text
+        return this.provider.stream({ ...request, signal }, (text) => {
+          streamed = true;
+          this.hooks.onToken(text, stepCount);
+        }, keepAlive);
+      },
+      {
+        ...this.retry,
+        signal,
+        shouldRetry: () => !streamed,
+        onRetry: (retry) => this.hooks.onRetry(retry, stepCount),
+      }
+    );
+    return { response, streamed };
+  }
+
+  append(message) {
+    this.messages.push(message);
+    this.hooks.onMessage(message, this.messages);
+  }
+
+  // Forget the conversation so far
+  reset() {
+    this.messages = [];
+  }
+
+  async executeAction(step, signal) {
+    try {
+      if (!this.tools[step.function]) {
+        throw new Error(`Tool '${step.function}' not found`);
+      }
+
+      if (this.workspace) {
+        const violation = await this.workspace.check(this.tools[step.function], step.input);
+        if (violation) {
+          return refused(`Access denied: ${violation}`);
+        }
+      }
+
+      if (this.permissions) {
+        const { allowed, reason } = await this.permissions.check(step.function, step.input, this.tools[step.function], { signal });
+        if (!allowed) {
+          return refused(`Permission denied: ${reason}`);
+        }
+      }
+
+      // Snapshot what the call is about to change so the turn can be undone
+      const writes = this.tools[step.function].writes;
+      if (this.checkpoints && writes) {
+        await this.checkpoints.capture(writes(step.input));
+      }
+
+      const result = await this.tools[step.function].fn(step.input, {
+        onProgress: (progress) => this.hooks.onProgress(step.function, progress),
+        review: this.review && ((change) => this.review({ ...change, signal })),
+        signal,
+      });
+      return {
+        observation: { type: "observation", observation: `Success: ${result}` },
+      };
+    } catch (error) {
+      return {
+        observation: {
+          type: "observation",
+          observation: `Error: ${error.message}\nStack: ${error.stack}`,
+        },
+        error,
+      };
+    }
+  }
+}
+
+// Observation for a tool call that was refused before it ran
+function refused(message) {
+  return {
+    observation: {
+      type: "observation",
+      observation: `Error: ${message}. The action was not performed; do not retry it unchanged.`,
+    },
+    error: new Error(message),
+  };
+}
+
+// Corrective observation sent back to the model after an invalid step
+function correction(problem) {
+  return `[Invalid step] ${problem}\nCall one of the provided functions with a JSON object matching its parameters, or reply with text only when the task is done.`;
+}
@@ -0,0 +1,246 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { CONFIG_DIR } from "./config.js";
+
+const CHECKPOINTS_DIR = path.join(CONFIG_DIR, "checkpoints");
+
+// Directories never captured when a tool writes to a whole directory tree
+const SKIPPED_DIRS = ["node_modules", ".git"];
+
+// Snapshots of the files agent tools are about to change, grouped into one checkpoint per
+// user turn so that a whole turn can be rolled back. Stored per workspace under
+// ~/.cursor-clone/checkpoints/<workspace hash>, independent of any version control.
+export class CheckpointStore {
+  constructor({ root = process.cwd(), directory = CHECKPOINTS_DIR, max = 50 } = {}) {
+    this.root = path.resolve(root);
+    this.directory = path.join(directory, crypto.createHash("sha256").update(this.root).digest("hex").slice(0, 16));
+    this.max = max;
+    this.turn = null;
+    this.current = null;
+  }
+
+  // Start a new user turn. Its checkpoint is only created once a file is captured.
+  startTurn(prompt) {
+    this.turn = { prompt, createdAt: new Date().toISOString() };
+    this.current = null;
+  }
+
+  // Record the current state of the given files or directories, unless this turn already has it.
+  // Calls that change nothing (e.g. a dry run) create no checkpoint.
+  async capture(targets) {
+    targets = (targets || []).filter((target) => target !== undefined && target !== null && target !== "");
+    if (targets.length === 0) {
+      return;
+    }
+    if (!this.turn) {
+      this.startTurn("(no prompt)");
+    }
+
+    const checkpoints = await this.list();
+    if (!this.current) {
+      this.current = {
+        id: (checkpoints.at(-1)?.id || 0) + 1,
+        ...this.turn,
+        root: this.root,
+        entries: [],
+      };
+      checkpoints.push(this.current);
+    } else {
+      checkpoints[checkpoints.length - 1] = this.current;
+    }
+
+    for (const target of targets) {
+      const absolute = path.resolve(process.cwd(), String(target));
+      if (this.current.entries.some((entry) => isWithin(entry.path, absolute))) continue;
+
+      // A directory captured now covers any file captured earlier in the turn
+      this.current.entries = this.current.entries.filter((entry) => !isWithin(absolute, entry.path));
+      this.current.entries.push(await this.snapshot(absolute));
+    }
+
+    await this.write(checkpoints.slice(-this.max));
+  }
+
+  async snapshot(absolute) {
+    let stats;
+    try {
+      stats = await fs.stat(absolute);
+    } catch (error) {
+      if (error.code === "ENOENT") return { path: absolute, type: "missing", parent: await existingAncestor(absolute) };
+      throw error;
+    }
+
+    if (stats.isDirectory()) {
+      const { files, directories } = await walk(absolute);
+      const blobs = {};
+      for (const file of files) {
+        blobs[path.relative(absolute, file)] = await this.storeBlob(file);
+      }
+      return {
+        path: absolute,
+        type: "directory",
+        files: blobs,
+        directories: directories.map((directory) => path.relative(absolute, directory)),
+      };
+    }
+    return { path: absolute, type: "file", blob: await this.storeBlob(absolute) };
+  }
+
+  // File contents are stored once per distinct content
+  async storeBlob(file) {
+    const content = await fs.readFile(file);
+    const hash = crypto.createHash("sha256").update(content).digest("hex");
+    const blobPath = path.join(this.directory, "blobs", hash);
+    await fs.mkdir(path.dirname(blobPath), { recursive: true });
+    await fs.writeFile(blobPath, content, { flag: "wx" }).catch((error) => {
+      if (error.code !== "EEXIST") throw error;
+    });
+    return hash;
+  }
+
+  // Roll back the last count turns, newest first. Returns what was restored and deleted per checkpoint.
+  async undo(count = 1) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error("The number of turns to undo must be a positive integer");
+    }
+
+    const checkpoints = await this.list();
+    if (checkpoints.length === 0) {
+      throw new Error("No checkpoints to undo");
+    }
+
+    const results = [];
+    for (const checkpoint of checkpoints.splice(-count).reverse()) {
+      const changes = { restored: [], deleted: [] };
+      for (const entry of checkpoint.entries) {
+        await this.restore(entry, changes);
+      }
+      results.push({ checkpoint, ...changes });
+    }
+
+    this.current = null;
+    await this.write(checkpoints);
+    return results;
+  }
+
+  async restore(entry, changes) {
+    if (entry.type === "missing") {
+      if (await exists(entry.path)) {
+        await fs.rm(entry.path, { recursive: true, force: true });
+        changes.deleted.push(entry.path);
+      }
+      // Remove directories created on the way to the new file once they are empty
+      for (let directory = path.dirname(entry.path); entry.parent && isWithin(entry.parent, directory) && directory !== entry.parent; directory = path.dirname(directory)) {
+        if ((await fs.readdir(directory).catch(() => [null])).length > 0) break;
+        await fs.rmdir(directory);
+      }
+      return;
+    }
+
+    if (entry.type === "file") {
+      await this.restoreFile(entry.path, entry.blob, changes);
+      return;
+    }
+
+    // Directory: delete files created since the snapshot, restore changed and deleted ones
+    const { files } = await walk(entry.path);
+    for (const file of files) {
+      if (!(path.relative(entry.path, file) in entry.files)) {
+        await fs.rm(file, { force: true });
+        changes.deleted.push(file);
+      }
+    }
+    for (const [relative, blob] of Object.entries(entry.files)) {
+      await this.restoreFile(path.join(entry.path, relative), blob, changes);
+    }
+    await removeCreatedDirectories(entry.path, new Set(entry.directories));
+  }
+
+  async restoreFile(file, blob, changes) {
+    const content = await fs.readFile(path.join(this.directory, "blobs", blob));
+    const existing = await fs.readFile(file).catch(() => null);
+    if (existing && existing.equals(content)) return;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    changes.restored.push(file);
+  }
+
+  // Checkpoints of this workspace, oldest first
+  async list() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, "index.json"), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  // Save the index and drop blobs no checkpoint refers to any more
+  async write(checkpoints) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, "index.json"), JSON.stringify(checkpoints, null, 2), "utf-8");
+
+    const referenced = new Set();
+    for (const checkpoint of checkpoints) {
+      for (const entry of checkpoint.entries) {
+        if (entry.blob) referenced.add(entry.blob);
+        Object.values(entry.files || {}).forEach((blob) => referenced.add(blob));
+      }
+    }
+    const blobs = await fs.readdir(path.join(this.directory, "blobs")).catch(() => []);
+    for (const blob of blobs) {
+      if (!referenced.has(blob)) {
+        await fs.rm(path.join(this.directory, "blobs", blob), { force: true });
+      }
+    }
+  }
+}
+
+// All files and directories below a directory, skipping dependency and VCS directories
+async function walk(directory, result = { files: [], directories: [] }) {
+  const entries = await fs.readdir(directory, { withFileTypes: true }).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory() && !SKIPPED_DIRS.includes(entry.name)) {
+      result.directories.push(fullPath);
+      await walk(fullPath, result);
+    } else if (entry.isFile()) {
+      result.files.push(fullPath);
+    }
+  }
+  return result;
+}
+
+// Remove directories that did not exist at snapshot time once they are empty again
+async function removeCreatedDirectories(root, existing) {
+  const { directories } = await walk(root);
+  for (const directory of directories.reverse()) {
+    if (existing.has(path.relative(root, directory))) continue;
+    if ((await fs.readdir(directory)).length === 0) {
+      await fs.rmdir(directory);
+    }
+  }
+}
+
+function isWithin(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === "" || (relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+async function existingAncestor(target) {
+  let current = path.dirname(target);
+  while (!(await exists(current)) && path.dirname(current) !== current) {
+    current = path.dirname(current);
+  }
+  return current;
+}
+
+async function exists(target) {
+  return fs.access(target).then(() => true, () => false);
+}
@@ -1,18 +1,27 @@
 #!/usr/bin/env node
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
-import { tools } from "./tools.js";
+import { tools, executeTool, describeTools, formatToolHelp } from "./tools.js";
+import { createProvider } from "./providers.js";
+import { getConfig, CONFIG_DIR } from "./config.js";
+import { sessions } from "./sessions.js";
+import { PermissionManager, POLICIES, createApprovalPrompt, resolvePolicy } from "./permissions.js";
+import { CheckpointStore } from "./checkpoints.js";
+import { createReviewPrompt } from "./diff.js";
+import { UsageTracker, formatUsage } from "./usage.js";
+import { resolveProfile, describeProfile } from "./profiles.js";
+import { runWithPlan, createPlanReview, formatPlan } from "./plan.js";
+import { createEventStream, agentEvents } from "./events.js";
+import { createAgentRunner, terminalHooks, logStep, showProgress, endProgress, reportPlanProgress } from "./runner.js";
+import { CommandRegistry, formatCommandHelp } from "./commands.js";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
 dotenv.config();
 
-const genAi = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
-// CLI-specific prompt for global operations
-const cliPrompt = `
+// CLI-specific prompt for global operations, listing the tools the agent may use
+const cliPrompt = (toolset) => `
 You are a powerful AI assistant for global file system operations, project management, and code generation.
 
 You have access to advanced tools for:
@@ -27,74 +36,107 @@ You have access to advanced tools for:
 - API creation and documentation
 - Complete web application generation
 
-AVAILABLE TOOLS:
-1. browseDirectory: Advanced directory browsing with filtering
-2. findFiles: Find files across directories with pattern matching
-3. globalSearchReplace: Search and replace text across multiple files
-4. createProject: Create new projects with templates
-5. backupWorkspace: Create workspace backups
-6. searchInFiles: Search for text patterns in files
-7. getSystemInfo: Get system information
-8. executeCommand: Execute shell commands
-9. readFile: Read file contents
-10. writeFile: Write or overwrite file contents
-11. listFiles: List files in a directory
-12. analyzeError: Analyze error messages and stack traces
-13. generateCode: Generate code based on requirements
-14. implementFeature: Implement a complete feature with multiple files
-15. refactorCode: Refactor existing code to improve structure and performance
-16. createAPI: Create a complete API with endpoints, middleware, and documentation
-17. generateApp: Generate complete web applications (calculator, todo, weather, etc.)
-
-WEB APPLICATION GENERATION:
-When users request web applications like "calculator", "todo app", "weather app", etc., use the generateApp tool with:
-- name: The app name
-- type: "calculator", "todo", "weather", or "custom"
-- framework: "vanilla" (default), "react", "vue", etc.
-- includeStyles: true (default)
-- includeTests: false (default)
-- features: [] (optional additional features)
-
-COMMON APP TYPES:
-- calculator: Full-featured calculator with arithmetic operations, keyboard support, modern UI
-- todo: Todo list app with add/edit/delete, filtering, local storage, modern design
-- weather: Weather app with city search, current conditions, responsive design
-- custom: Generic web app template
-
-RESPONSE FORMAT:
-All responses must be valid JSON in one of these formats:
-
-Plan: {"type": "plan", "plan": "Detailed explanation of next step"}
-Action: {"type": "action", "function": "toolName", "input": inputData}
-Output: {"type": "output", "output": "Final response with explanations", "summary": "Brief summary"}
+The tools are provided to you as functions. Call them directly; do not describe tool calls in text.
+Parameters marked with ? are optional:
+${describeTools(toolset)}
 
 WORKFLOW:
-- Always start with a plan
-- Execute actions one at a time
-- Provide clear output with explanations
+- Start by briefly explaining your plan in text, alongside your first function call
+- Call one tool at a time and wait for its result before deciding the next step
+- When the task is done, reply with text only: the final response with explanations
 - Handle errors gracefully
 - Be efficient and thorough
 - For app generation, create complete, ready-to-run applications
 
 IMPORTANT RULES:
-- Return ONLY ONE step at a time as JSON
-- Wait for observations after each action
-- Always provide context in plans
+- Always provide context for your next action
+- Change existing files with editFile; use writeFile only for new files or complete rewrites
 - Be thorough but efficient
 - Handle errors gracefully
 - Confirm success of operations
 - For web apps, ensure they are complete and functional
 `;
 
-const model = genAi.getGenerativeModel({
-  model: "gemini-2.0-flash-exp",
-  generationConfig: {
-    responseMimeType: "application/json",
-  },
-  systemInstruction: cliPrompt,
-});
+// The provider is created on first use so direct commands work without AI credentials,
+// and again when a different profile is selected
+let provider = null;
+let providerKey = null;
+
+// Approval policy from the --approval flag, if given
+let approvalFlag = null;
+
+// Agent profile from --profile or /profile; null uses ai.profile from config
+let profileName = null;
+
+// Model set with /model, replacing the provider's configured model; null uses the config
+let modelOverride = null;
+
+// Plan mode from --plan or /plan: requests are planned and approved before anything runs
+let planMode = false;
+
+// Event emitter for --output json (see events.js); null for the human-readable output
+let events = null;
+
+// In JSON mode stdout carries only events; everything written for people goes to stderr
+function useJsonOutput() {
+  events = createEventStream();
+  console.log = console.info = console.error;
+}
+
+// Agent settings from config.ai with the selected profile and /model applied
+async function getAgentSettings() {
+  const settings = resolveProfile(await getConfig("ai"), profileName ?? undefined);
+  if (!modelOverride) {
+    return settings;
+  }
+  const { ai } = settings;
+  const name = ai.provider || "gemini";
+  return {
+    ...settings,
+    ai: { ...ai, providers: { ...ai.providers, [name]: { ...ai.providers?.[name], model: modelOverride } } },
+  };
+}
+
+async function getProvider() {
+  const settings = await getAgentSettings();
+  const key = `${settings.name}:${modelOverride}`;
+  if (!provider || providerKey !== key) {
+    provider = createProvider(settings.ai);
+    providerKey = key;
+  }
+  return provider;
+}
+
+// Checkpoints of the current workspace
+async function getCheckpoints() {
+  return new CheckpointStore({
+    root: (await getConfig("workspace.root")) || process.cwd(),
+    max: await getConfig("checkpoints.max"),
+  });
+}
+
+// Token usage per task and session, priced with ai.prices and limited by ai.budget
+async function createUsage(provider, session = null) {
+  return new UsageTracker({
+    model: provider.model,
+    prices: await getConfig("ai.prices"),
+    ...(await getConfig("ai.budget")),
+    session,
+  });
+}
+
+// Gate the agent's writes and commands; prompts on the given readline interface when attached to a terminal
+async function createPermissions(readline = null) {
+  return new PermissionManager({
+    policy: await resolvePolicy(approvalFlag),
+    ask: readline && process.stdin.isTTY ? createApprovalPrompt(readline) : null,
+  });
+}
 
 // Enhanced CLI argument parsing
+// Flags that never take a value, so a following argument stays positional (apply --dry-run fix.patch)
+const BOOLEAN_FLAGS = new Set(['include-hidden', 'recursive', 'dry-run', 'include-node-modules', 'plan']);
+
 function parseArgs() {
   const args = process.argv.slice(2);
   
@@ -102,25 +144,26 @@ function parseArgs() {
     return { command: 'interactive', options: {} };
   }
 
-  const command = args[0];
+  // Leading options without a command start interactive mode, e.g. cursor-ai --approval read-only
+  const command = args[0].startsWith('-') ? 'interactive' : args[0];
   const options = {};
   const positionalArgs = [];
 
-  for (let i = 1; i < args.length; i++) {
+  for (let i = args[0].startsWith('-') ? 0 : 1; i < args.length; i++) {
     const arg = args[i];
     
     if (arg.startsWith('--')) {
       const key = arg.slice(2);
       const value = args[i + 1];
       
-      if (value && !value.startsWith('-')) {
+      if (BOOLEAN_FLAGS.has(key)) {
+        options[key] = true;
+      } else if (value && !value.startsWith('-')) {
         // Handle array values (comma-separated)
         if (key === 'file-types' || key === 'exclude-dirs') {
           options[key] = value.split(',').map(v => v.trim());
         } else if (key === 'max-depth') {
           options[key] = parseInt(value);
-        } else if (key === 'include-hidden' || key === 'recursive' || key === 'dry-run' || key === 'include-node-modules') {
-          options[key] = true;
         } else {
           options[key] = value;
         }
@@ -128,7 +171,7 @@ function parseArgs() {
       } else {
         options[key] = true;
       }
-    } else if (arg.startsWith('-')) {
+    } else if (arg.startsWith('-') && arg !== '-') {
       const key = arg.slice(1);
       const value = args[i + 1];
       
@@ -192,200 +235,558 @@ function parseArgs() {
       if (positionalArgs[0]) options.name = positionalArgs[0];
       if (positionalArgs[1]) options.type = positionalArgs[1];
       break;
+    case 'sessions':
+      if (positionalArgs[0]) options.action = positionalArgs[0];
+      if (positionalArgs[1]) options.id = positionalArgs[1];
+      break;
+    case 'resume':
+      if (positionalArgs[0]) options.id = positionalArgs[0];
+      break;
+    case 'undo':
+      if (positionalArgs[0]) options.count = parseInt(positionalArgs[0]);
+      break;
+    case 'apply':
+      if (positionalArgs[0]) options.file = positionalArgs[0];
+      break;
+    case 'run':
+      if (positionalArgs.length > 0) options.task = positionalArgs.join(' ');
+      break;
+    case 'help':
+      if (positionalArgs[0]) options.topic = positionalArgs[0];
+      break;
   }
 
   return { command, options, positionalArgs };
 }
 
-// Enhanced logging for CLI
-function logStep(step, prefix = "") {
-  console.log("\n" + "=".repeat(60));
-  if (step.type === "plan") {
-    console.log(`${prefix}📋 PLAN: ${step.plan}`);
-  } else if (step.type === "action") {
-    console.log(`${prefix}⚡ ACTION: ${step.function}`);
-    console.log(`   Input: ${JSON.stringify(step.input, null, 2)}`);
-  } else if (step.type === "output") {
-    console.log(`${prefix}✅ OUTPUT:`);
-    console.log(`\n${step.output}`);
-    if (step.summary) {
-      console.log(`\n📌 Summary: ${step.summary}`);
-    }
-  } else if (step.type === "observation") {
-    console.log(`${prefix}👁️  OBSERVATION:`);
-    console.log(`   ${step.observation.substring(0, 200)}${step.observation.length > 200 ? "..." : ""}`);
-  }
-  console.log("=".repeat(60) + "\n");
+// Build an agent runner that reports each step in the CLI format, or as events with --output json
+async function createRunner(label, options = {}) {
+  const provider = await getProvider();
+  return createAgentRunner({
+    settings: await getAgentSettings(),
+    provider,
+    system: cliPrompt,
+    hooks: events ? agentEvents(events) : terminalHooks(label),
+    permissions: await createPermissions(),
+    checkpoints: await getCheckpoints(),
+    ...options,
+    usage: options.usage || (await createUsage(provider)),
+  });
 }
 
-// Execute a single command
-async function executeCommand(command, options) {
-  const messages = [];
-  const userMessage = {
-    type: "user",
-    prompt: `Execute command: ${command} with options: ${JSON.stringify(options)}`,
-  };
-  
-  messages.push(JSON.stringify(userMessage));
-  console.log(`\n🚀 Executing: ${command}\n`);
+// Exit codes of `cursor-ai run`, so the agent can be scripted
+const EXIT_CODES = {
+  success: 0,
+  usage: 1, // the task could not start: no task, unreadable task file, bad options or configuration
+  maxSteps: 2, // stopped by the step limit or the token budget
+  toolFailure: 3, // the agent finished, but the last call of some tool failed or was refused
+  modelFailure: 4, // the model request failed or its replies stayed invalid
+  cancelled: 130, // Ctrl+C
+};
+
+// The task for `cursor-ai run`: the arguments, a file given with -f, or stdin for "-"
+async function readTask(options) {
+  const file = options.file ?? options.f;
+  if (file !== undefined && options.task) {
+    throw new Error("Give the task either as an argument or with -f, not both");
+  }
+  if (file === true) {
+    throw new Error("-f needs a file name");
+  }
 
-  let stepCount = 0;
-  const maxSteps = 20;
+  let task = options.task;
+  if (file !== undefined) {
+    task = await fs.readFile(file, "utf-8");
+  } else if (task === "-") {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    task = Buffer.concat(chunks).toString("utf-8");
+  }
+  if (!task?.trim()) {
+    throw new Error("The task is empty");
+  }
+  return task.trim();
+}
 
-  while (stepCount < maxSteps) {
-    try {
-      stepCount++;
-      
-      const result = await model.generateContent(messages.join("\n"));
-      const response = result.response.text();
-      
-      let step;
-      try {
-        step = JSON.parse(response);
-      } catch (parseError) {
-        console.error("❌ Error parsing AI response:", response);
-        break;
-      }
+// Run one agent task without prompting and exit with a code describing how it ended.
+// Writes and commands need an allowlist rule or --approval, as there is nobody to ask.
+async function runHeadless(task) {
+  const provider = await getProvider();
+  const session = sessions.create({ provider: provider.name, model: provider.model });
+  const usage = await createUsage(provider);
+  session.usage = usage.session;
 
-      logStep(step, `[Step ${stepCount}] `);
-      messages.push(response);
+  // Whether the latest call of each tool succeeded; a tool whose last call failed means the
+  // agent gave up on it (e.g. the tests still fail) rather than recovered. Invalid calls, such
+  // as unknown tools or bad arguments, never ran; the model is asked to correct them, and if it
+  // cannot the run ends as invalid_response.
+  const lastCallOk = new Map();
 
-      if (step.type === "action") {
-        try {
-          if (!tools[step.function]) {
-            throw new Error(`Tool '${step.function}' not found`);
-          }
-
-          const result = await tools[step.function].fn(step.input);
-          const observation = {
-            type: "observation",
-            observation: `Success: ${result}`,
-          };
-          
-          logStep(observation);
-          messages.push(JSON.stringify(observation));
-          continue;
-        } catch (error) {
-          const observation = {
-            type: "observation",
-            observation: `Error: ${error.message}\nStack: ${error.stack}`,
-          };
-          
-          console.error("❌ Action failed:", error.message);
-          logStep(observation);
-          messages.push(JSON.stringify(observation));
-          continue;
-        }
+  const runner = await createRunner("Task", {
+    messages: session.messages,
+    usage,
+    onObservation: (observation, { step, error, problem }) => {
+      if (!problem) {
+        lastCallOk.set(step.function, !error);
       }
+    },
+  });
 
-      if (step.type === "output") {
-        console.log("\n✨ Command completed successfully!\n");
-        break;
-      }
+  const controller = new AbortController();
+  process.on("SIGINT", () => {
+    if (controller.signal.aborted) process.exit(EXIT_CODES.cancelled);
+    console.log("\n⛔ Cancelling... (press Ctrl+C again to exit now)");
+    controller.abort(new Error("Cancelled by the user"));
+  });
 
-      if (step.type === "plan") {
-        continue;
-      }
+  if (!events) {
+    console.log("\n🚀 Running task with AI...\n");
+  }
+  const result = await runner.run(task, { signal: controller.signal });
 
-    } catch (error) {
-      console.error("\n❌ Unexpected error:", error.message);
-      console.error("Stack:", error.stack);
-      break;
-    }
+  try {
+    await sessions.save(session, runner.messages);
+    console.log(`💾 Session ${session.id} (continue with: cursor-ai resume ${session.id})`);
+  } catch (error) {
+    console.error(`⚠️  Failed to save session: ${error.message}`);
   }
 
-  if (stepCount >= maxSteps) {
-    console.log("\n⚠️  Maximum steps reached. Command may be incomplete.");
+  const failedTools = [...lastCallOk].filter(([, ok]) => !ok).map(([name]) => name);
+  switch (result.status) {
+    case "completed":
+      if (failedTools.length > 0) {
+        console.error(`❌ The last call of ${failedTools.join(", ")} failed`);
+        return EXIT_CODES.toolFailure;
+      }
+      return EXIT_CODES.success;
+    case "max_steps":
+    case "budget_exceeded":
+      return EXIT_CODES.maxSteps;
+    case "cancelled":
+      return EXIT_CODES.cancelled;
+    default:
+      return EXIT_CODES.modelFailure;
   }
 }
 
-// Interactive mode with AI integration
-async function interactiveMode() {
+// Interactive mode with AI integration, optionally continuing a saved session
+async function interactiveMode(session = null) {
   const readline = await import("readline");
+
+  // Interactive state, passed to every slash command (plugins included)
+  const context = {
+    session,
+    // One runner for the whole session so the conversation carries across turns. Commands set it
+    // to null to rebuild it with new settings on the next request; the conversation is kept.
+    runner: null,
+    readline: null,
+    commands: createCommands(),
+    closed: false,
+    // The runner, built with the current settings if there is none
+    getRunner: async () => {
+      if (!context.runner) {
+        await startRunner();
+      }
+      return context.runner;
+    },
+    // Send a request to the agent; with planned, it is planned and approved first
+    request: async (message, { planned = planMode } = {}) => {
+      try {
+        const runner = await context.getRunner();
+        activeRun = new AbortController();
+        await handleAIRequest(message, runner, { signal: activeRun.signal, planReview: planned ? planReview : null });
+      } catch (error) {
+        console.error(`❌ AI Error: ${error.message}`);
+      } finally {
+        activeRun = null;
+      }
+    },
+    close: () => {
+      console.log("👋 Goodbye! Happy coding!");
+      context.closed = true;
+      input.close();
+    },
+  };
+
+  for (const failure of await context.commands.loadPlugins(await getConfig("plugins"), CONFIG_DIR)) {
+    console.error(`⚠️  Failed to load plugin ${failure}`);
+  }
+
   const input = readline.createInterface({
     input: process.stdin,
-    output: process.stdout,
+    // Prompts stay off stdout when it carries JSON events
+    output: events ? process.stderr : process.stdout,
+    // Tab completes slash command names and their arguments
+    completer: (line, callback) => {
+      context.commands.complete(line, context).then((result) => callback(null, result), () => callback(null, [[], line]));
+    },
   });
+  context.readline = input;
 
   console.log("\n" + "=".repeat(60));
   console.log("🤖 Advanced AI Coding Assistant - Interactive Mode");
   console.log("   File operations, code generation, and project management");
   console.log("=".repeat(60));
-  console.log("\nAvailable commands:");
-  console.log("  • browse <path> - Browse directories with advanced filtering");
-  console.log("  • find <pattern> - Find files across directories");
-  console.log("  • search <text> - Search for text in files");
-  console.log("  • replace <search> <replace> - Global search and replace");
-  console.log("  • create <name> - Create new project");
-  console.log("  • backup - Create workspace backup");
-  console.log("  • generate <type> - Generate code (function, class, component, api, test)");
-  console.log("  • implement <feature> - Implement a complete feature");
-  console.log("  • refactor <file> - Refactor existing code");
-  console.log("  • api <name> - Create a complete API");
-  console.log("  • app <name> <type> - Generate complete web app (calculator, todo, weather, etc.)");
-  console.log("  • info - Get system information");
-  console.log("  • help - Show this help");
-  console.log("  • exit - Exit the program");
+  console.log("\nEverything you type goes to the AI agent, except commands starting with /");
+  console.log("(Tab completes them):");
+  console.log("  • /help - List all commands");
+  console.log("  • /find, /search, /browse, /replace, /create, ... - Run a tool directly, without the AI");
+  console.log("  • /clear, /history, /cost, /model, /tools, /cd, /save - Manage the conversation");
+  console.log("  • /undo [n] - Roll back the file changes of the last n turns");
+  console.log("  • /profile [name] - List agent profiles or switch to one");
+  console.log("  • /plan [request] - Toggle plan mode, or plan a single request before running it");
+  console.log("  • /exit - Exit the program");
   console.log("=".repeat(60));
-  console.log("\n💡 You can also ask natural language questions like:");
+  console.log("\n💡 You can ask natural language questions like:");
   console.log("  • 'Create a user authentication system'");
   console.log("  • 'Generate a React component for a todo list'");
   console.log("  • 'Create a calculator web application'");
   console.log("  • 'Generate a todo list app'");
   console.log("  • 'Refactor this code to use async/await'");
   console.log("  • 'Help me debug this error'");
+  console.log("\n🧠 Follow-up questions remember the earlier conversation.");
+  console.log("⛔ Ctrl+C cancels the current request; press it again to exit.");
+  if (planMode) {
+    console.log("📋 Plan mode is on: every request is planned and needs your approval first (/plan to turn off).");
+  }
+
+  if (session) {
+    const turns = session.messages.filter((message) => message.role === "user").length;
+    console.log(`\n📂 Resumed session ${session.id} (${turns} previous turn${turns === 1 ? "" : "s"})`);
+  }
+
+  const planReview = createPlanReview(input);
+
+  // Ctrl+C cancels the running request; pressed again, or while idle, it exits
+  let activeRun = null;
+  const interrupt = () => {
+    if (activeRun && !activeRun.signal.aborted) {
+      endProgress();
+      console.log("\n⛔ Cancelling the current request... (press Ctrl+C again to exit)");
+      activeRun.abort(new Error("Cancelled by the user"));
+      return;
+    }
+    console.log("\n👋 Goodbye! Happy coding!");
+    process.exit(130);
+  };
+  input.on("SIGINT", interrupt);
+  process.on("SIGINT", interrupt);
+
+  async function startRunner() {
+    const provider = await getProvider();
+    context.session ||= sessions.create({ provider: provider.name, model: provider.model });
+    const { session } = context;
+    session.provider = provider.name;
+    session.model = provider.model;
+
+    // Usage totals are saved with the session and continue when it is resumed
+    const usage = await createUsage(provider, session.usage);
+    session.usage = usage.session;
+
+    context.runner = await createRunner("Task", {
+      messages: session.messages,
+      usage,
+      permissions: await createPermissions(input),
+      review: process.stdin.isTTY ? createReviewPrompt(input) : null,
+      // Saved to the current session, which /clear replaces
+      onMessage: (message, messages) => {
+        sessions.save(context.session, messages).catch((error) => {
+          console.error(`⚠️  Failed to save session: ${error.message}`);
+        });
+      },
+    });
+  }
 
   function askQuestion() {
-    input.question("\n💬 Ask me anything (or type 'help' for commands): ", async (message) => {
-      if (message.toLowerCase() === "exit") {
-        console.log("👋 Goodbye! Happy coding!");
-        input.close();
+    if (context.closed) {
+      return;
+    }
+    input.question("\n💬 Ask me anything (or type /help for commands): ", async (message) => {
+      // Typed out of habit; never a useful request for the agent
+      if (message.trim().toLowerCase() === "exit") {
+        context.close();
         return;
       }
 
-      if (message.toLowerCase() === "help") {
-        showInteractiveHelp();
-        askQuestion();
+      if (context.commands.isCommand(message)) {
+        try {
+          await context.commands.execute(message, context);
+        } catch (error) {
+          console.error(`❌ Error: ${error.message}`);
+        }
+      } else if (message.trim()) {
+        await context.request(message);
+      }
+
+      askQuestion();
+    });
+  }
+
+  askQuestion();
+}
+
+// Direct commands: run a tool without the AI, e.g. /find "*.js" src
+const DIRECT_COMMANDS = [
+  ["browse", "[path] [options]", "Browse directories"],
+  ["find", "<pattern> [directory] [options]", "Find files"],
+  ["search", "<text> [directory] [options]", "Search in files"],
+  ["replace", "<search> <replace> [directory] [options]", "Global search and replace"],
+  ["create", "<name> [type] [template]", "Create a project"],
+  ["backup", "[path]", "Back up the workspace"],
+  ["generate", "<type> <description>", "Generate code (function, class, component, api, test)"],
+  ["implement", "<feature>", "Implement a complete feature"],
+  ["refactor", "<file> [type]", "Refactor existing code"],
+  ["api", "<name>", "Create a complete API"],
+  ["app", "<name> <type>", "Generate a web app (calculator, todo, weather, custom)"],
+  ["info", "", "System information"],
+  ["templates", "", "List project templates"],
+];
+
+// The slash commands of the interactive prompt. Each runs with the interactive context:
+// { session, runner, readline, commands, getRunner(), request(message, { planned }), close() }.
+function createCommands() {
+  const commands = new CommandRegistry();
+
+  commands.register("help", {
+    description: "Show this help",
+    run: () => {
+      console.log("\n📖 Commands:");
+      console.log(formatCommandHelp(commands));
+      console.log("\nAnything that does not start with / is sent to the AI agent, e.g.:");
+      console.log("  'Create a user authentication system'");
+      console.log("  'Find where the config file is parsed and explain it'");
+      console.log("  'Help me debug this error'");
+    },
+  });
+
+  commands.register("exit", {
+    description: "Exit the program",
+    aliases: ["quit"],
+    run: (args, context) => context.close(),
+  });
+
+  commands.register("clear", {
+    description: "Forget the conversation so far and start a new session",
+    run: (args, context) => {
+      context.runner?.reset();
+      context.runner?.usage?.reset();
+      if (context.session) {
+        context.session = sessions.create({ provider: context.session.provider, model: context.session.model });
+        context.session.usage = context.runner?.usage?.session;
+        if (context.runner) context.runner.messages = context.session.messages;
+      }
+      console.log("🧹 Conversation history cleared. Starting a new session.");
+    },
+  });
+
+  commands.register("history", {
+    description: "Show the requests and answers of this conversation",
+    usage: "[n]",
+    run: (args, context) => {
+      const turns = conversationTurns(context.session?.messages || []);
+      if (turns.length === 0) {
+        console.log("No conversation yet.");
         return;
       }
+      const count = parseInt(args) || turns.length;
+      console.log(`\n🕘 Conversation${context.session ? ` (session ${context.session.id})` : ""}:`);
+      turns.slice(-count).forEach(({ request, answer, toolCalls }, index) => {
+        console.log(`\n  ${turns.length - Math.min(count, turns.length) + index + 1}. 👤 ${truncate(request, 100)}`);
+        const calls = toolCalls > 0 ? ` (${toolCalls} tool call${toolCalls === 1 ? "" : "s"})` : "";
+        console.log(`     🤖 ${answer ? truncate(answer, 100) : "(no answer)"}${calls}`);
+      });
+      if (context.session) {
+        console.log(`\nFull transcript: cursor-ai sessions show ${context.session.id}`);
+      }
+    },
+  });
 
-      // Check if it's a direct command
-      const parts = message.trim().split(" ");
-      const command = parts[0];
-      
-      // Handle direct commands
-      if (isDirectCommand(command)) {
+  commands.register("model", {
+    description: "Show the model, or switch this session to another model of the provider (default to reset)",
+    usage: "[name|default]",
+    run: async (args, context) => {
+      if (args) {
+        const previous = modelOverride;
+        modelOverride = args === "default" ? null : args;
         try {
-          await handleDirectCommand(message);
+          await getProvider();
         } catch (error) {
-          console.error(`❌ Error: ${error.message}`);
+          modelOverride = previous;
+          throw error;
         }
-        askQuestion();
+        // Rebuilt on the next request with the new model; the conversation is kept
+        context.runner = null;
+      }
+      const current = await getProvider();
+      const settings = await getAgentSettings();
+      const profile = settings.name ? `, profile '${settings.name}'` : "";
+      console.log(`🧠 Model: ${current.name}/${current.model || "default"}${profile}${modelOverride ? " (set with /model)" : ""}`);
+    },
+  });
+
+  commands.register("profile", {
+    description: "List agent profiles or switch to one (none for the defaults)",
+    usage: "[name|none]",
+    run: async (args, context) => {
+      const name = args.split(/\s+/)[0];
+      if (!name) {
+        await showProfiles();
         return;
       }
+      const settings = resolveProfile(await getConfig("ai"), name === "none" ? "" : name);
+      profileName = settings.name ?? "";
+      // Rebuilt on the next request with the profile's model, tools and instructions; the conversation is kept
+      context.runner = null;
+      console.log(settings.name ? `🎛️  Switched to profile '${settings.name}'` : "🎛️  Using the default agent settings");
+    },
+    complete: async () => [...Object.keys((await getConfig("ai.profiles")) || {}), "none"],
+  });
 
-      // Handle natural language requests with AI
-      try {
-        await handleAIRequest(message);
-      } catch (error) {
-        console.error(`❌ AI Error: ${error.message}`);
+  commands.register("plan", {
+    description: "Toggle plan mode, or plan a single request and approve it first",
+    usage: "[request]",
+    run: async (args, context) => {
+      if (args) {
+        await context.request(args, { planned: true });
+        return;
       }
-      
-      askQuestion();
+      planMode = !planMode;
+      console.log(planMode
+        ? "📋 Plan mode on: requests are planned and need your approval before anything runs."
+        : "📋 Plan mode off.");
+    },
+  });
+
+  commands.register("undo", {
+    description: "Roll back the file changes of the last n turns",
+    usage: "[n]",
+    run: (args) => undoCheckpoints(parseInt(args || "1")),
+  });
+
+  commands.register("tools", {
+    description: "List the tools the agent can use",
+    run: async (args, context) => {
+      const { tools: toolset } = await context.getRunner();
+      const width = Math.max(0, ...Object.keys(toolset).map((name) => name.length));
+      console.log("\n🧰 Agent tools:");
+      for (const [name, tool] of Object.entries(toolset)) {
+        const access = typeof tool.access === "function" ? "varies" : tool.access || "execute";
+        console.log(`  ${name.padEnd(width)}  [${access}] ${tool.description}`);
+      }
+      console.log("\nDetails: cursor-ai help <tool>");
+    },
+  });
+
+  commands.register("cost", {
+    description: "Show the token usage and estimated cost of this session",
+    aliases: ["usage"],
+    run: (args, context) => {
+      const usage = context.runner?.usage;
+      const session = usage?.session || context.session?.usage;
+      if (!session || session.calls === 0) {
+        console.log("📊 No model calls in this session yet.");
+        return;
+      }
+      const calls = (totals) => `${totals.calls} model call${totals.calls === 1 ? "" : "s"}`;
+      if (usage?.task.calls > 0) {
+        console.log(`📊 Last request: ${formatUsage(usage.task)} over ${calls(usage.task)}`);
+      }
+      console.log(`📊 Session: ${formatUsage(session)} over ${calls(session)}`);
+      if (usage?.maxTokens || usage?.maxCost) {
+        const limits = [usage.maxTokens && `${usage.maxTokens.toLocaleString()} tokens`, usage.maxCost && `$${usage.maxCost}`];
+        console.log(`   Budget per request: ${limits.filter(Boolean).join(" or ")}`);
+      }
+    },
+  });
+
+  commands.register("cd", {
+    description: "Show or change the working directory of the agent",
+    usage: "[dir]",
+    run: (args, context) => {
+      if (args) {
+        const target = path.resolve(expandHome(args));
+        try {
+          process.chdir(target);
+        } catch (error) {
+          throw new Error(`Cannot change to ${target}: ${error.code === "ENOENT" ? "no such directory" : error.message}`);
+        }
+        if (context.session) context.session.cwd = process.cwd();
+        // Rebuilt on the next request so the workspace and checkpoints follow; the conversation is kept
+        context.runner = null;
+      }
+      console.log(`📁 ${process.cwd()}`);
+    },
+    complete: completeDirectory,
+  });
+
+  commands.register("save", {
+    description: "Save the session now, or export the conversation as Markdown to a file",
+    usage: "[file]",
+    run: async (args, context) => {
+      const { session } = context;
+      if (!session || session.messages.length === 0) {
+        console.log("Nothing to save yet.");
+        return;
+      }
+      if (!args) {
+        await sessions.save(session);
+        console.log(`💾 Saved session ${session.id}. Continue it later with: cursor-ai resume ${session.id}`);
+        return;
+      }
+      const file = path.resolve(expandHome(args));
+      await fs.writeFile(file, transcriptMarkdown(session), "utf-8");
+      console.log(`💾 Saved the conversation to ${file}`);
+    },
+  });
+
+  for (const [name, usage, description] of DIRECT_COMMANDS) {
+    commands.register(name, {
+      description,
+      usage,
+      run: (args) => handleDirectCommand(`${name} ${args}`),
     });
   }
 
-  askQuestion();
+  return commands;
 }
 
-// Check if the input is a direct command
-function isDirectCommand(command) {
-  const directCommands = [
-    'browse', 'find', 'search', 'replace', 'create', 'backup', 
-    'generate', 'implement', 'refactor', 'api', 'app', 'info', 'templates',
-    'config'
-  ];
-  return directCommands.includes(command.toLowerCase());
+// User requests of a transcript with their final answers and the number of tool calls made
+function conversationTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === "user") {
+      turns.push({ request: message.content, answer: null, toolCalls: 0 });
+    } else if (turns.length > 0 && message.role === "assistant") {
+      const turn = turns[turns.length - 1];
+      turn.toolCalls += message.toolCalls?.length || 0;
+      if (!message.toolCalls?.length) turn.answer = message.content;
+    }
+  }
+  return turns;
+}
+
+function truncate(text, length) {
+  const line = text.trim().split("\n")[0];
+  return line.length > length || text.trim().includes("\n") ? `${line.slice(0, length)}...` : line;
+}
+
+function expandHome(file) {
+  return file.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// Directories matching a partly typed path, for /cd completion
+async function completeDirectory(prefix) {
+  const slash = prefix.lastIndexOf("/") + 1;
+  const [directory, partial] = [prefix.slice(0, slash), prefix.slice(slash)];
+  try {
+    const entries = await fs.readdir(path.resolve(expandHome(directory) || "."), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory() && entry.name.startsWith(partial))
+      .filter((entry) => partial.startsWith(".") || !entry.name.startsWith("."))
+      .map((entry) => `${directory}${entry.name}/`);
+  } catch {
+    return [];
+  }
 }
 
 // Handle direct commands
@@ -463,109 +864,25 @@ async function handleDirectCommand(message) {
   await executeDirectCommand(command, options);
 }
 
-// Handle AI requests
-async function handleAIRequest(message) {
-  const messages = [];
-  const userMessage = {
-    type: "user",
-    prompt: message,
-  };
-  
-  messages.push(JSON.stringify(userMessage));
-  console.log("\n🚀 Processing your request with AI...\n");
-
-  let stepCount = 0;
-  const maxSteps = 20;
-
-  while (stepCount < maxSteps) {
-    try {
-      stepCount++;
-      
-      const result = await model.generateContent(messages.join("\n"));
-      const response = result.response.text();
-      
-      let step;
-      try {
-        step = JSON.parse(response);
-      } catch (parseError) {
-        console.error("❌ Error parsing AI response:", response);
-        break;
-      }
-
-      logStep(step, `[Step ${stepCount}] `);
-      messages.push(response);
-
-      if (step.type === "action") {
-        try {
-          if (!tools[step.function]) {
-            throw new Error(`Tool '${step.function}' not found`);
-          }
-
-          const result = await tools[step.function].fn(step.input);
-          const observation = {
-            type: "observation",
-            observation: `Success: ${result}`,
-          };
-          
-          logStep(observation);
-          messages.push(JSON.stringify(observation));
-          continue;
-        } catch (error) {
-          const observation = {
-            type: "observation",
-            observation: `Error: ${error.message}\nStack: ${error.stack}`,
-          };
-          
-          console.error("❌ Action failed:", error.message);
-          logStep(observation);
-          messages.push(JSON.stringify(observation));
-          continue;
-        }
-      }
-
-      if (step.type === "output") {
-        console.log("\n✨ Task completed successfully!\n");
-        break;
-      }
-
-      if (step.type === "plan") {
-        continue;
-      }
-
-    } catch (error) {
-      console.error("\n❌ Unexpected error:", error.message);
-      console.error("Stack:", error.stack);
-      break;
-    }
+// Handle AI requests, continuing the conversation held by the given runner.
+// With a plan review, the request is planned and approved before it runs.
+async function handleAIRequest(message, runner, { signal, planReview = null } = {}) {
+  if (!planReview) {
+    console.log("\n🚀 Processing your request with AI...\n");
+    await runner.run(message, { signal });
+    return;
   }
 
-  if (stepCount >= maxSteps) {
-    console.log("\n⚠️  Maximum steps reached. Task may be incomplete.");
+  console.log("\n📝 Planning your request (nothing is changed until you approve the plan)...\n");
+  const result = await runWithPlan(runner, message, { signal, review: planReview, onPlanUpdate: reportPlanProgress });
+  if (events && result.plan) {
+    events("plan", { decision: result.status === "rejected" ? "rejected" : "approved", plan: result.plan });
+  }
+  if (result.status === "rejected") {
+    console.log("🚫 Plan rejected; nothing was changed.");
+  } else if (result.plan) {
+    console.log(`\n${formatPlan(result.plan)}`);
   }
-}
-
-// Show interactive help
-function showInteractiveHelp() {
-  console.log("\n📖 Available Commands:");
-  console.log("  browse <path> [options] - Browse directories");
-  console.log("  find <pattern> [options] - Find files");
-  console.log("  search <text> [options] - Search in files");
-  console.log("  replace <search> <replace> [options] - Global replace");
-  console.log("  create <name> [type] [template] - Create project");
-  console.log("  backup [path] - Backup workspace");
-  console.log("  generate <type> <description> - Generate code");
-  console.log("  implement <feature> - Implement complete feature");
-  console.log("  refactor <file> [type] - Refactor code");
-  console.log("  api <name> - Create API");
-  console.log("  info - System information");
-  console.log("  help - Show this help");
-  console.log("  exit - Exit program");
-  console.log("\n💡 Natural Language Examples:");
-  console.log("  'Create a user authentication system'");
-  console.log("  'Generate a React component for a todo list'");
-  console.log("  'Refactor this code to use async/await'");
-  console.log("  'Help me debug this error'");
-  console.log("  'Create a REST API for managing users'");
 }
 
 // Execute command directly in interactive mode
@@ -738,34 +1055,229 @@ async function executeDirectCommand(command, options) {
   }
 }
 
-// Direct tool execution (without AI)
+// Direct tool execution (without AI). Reports the result or error and returns whether the tool
+// succeeded; the interactive session carries on either way, one-shot commands exit with 1.
 async function executeDirectTool(toolName, input) {
+  if (events) {
+    return emitDirectTool(toolName, input);
+  }
   try {
-    if (!tools[toolName]) {
-      throw new Error(`Tool '${toolName}' not found`);
-    }
-    
-    const result = await tools[toolName].fn(input);
+    const result = await executeTool(toolName, input, {
+      onProgress: (progress) => showProgress(toolName, progress),
+    });
+    endProgress();
     console.log(result);
+    return true;
   } catch (error) {
+    endProgress();
     console.error(`❌ Error: ${error.message}`);
-    process.exit(1);
+    return false;
+  }
+}
+
+// Direct tool execution reported as tool_call, tool_result and final events
+async function emitDirectTool(toolName, input) {
+  const startedAt = Date.now();
+  events("tool_call", { name: toolName, input });
+  try {
+    const result = await executeTool(toolName, input, {
+      onProgress: ({ message, output }) => {
+        events("progress", { name: toolName, ...(message && { message }), ...(output && { output }) });
+      },
+    });
+    const durationMs = Date.now() - startedAt;
+    events("tool_result", { name: toolName, ok: true, output: String(result), error: null, durationMs });
+    events("final", { status: "completed", output: String(result), error: null, durationMs });
+    return true;
+  } catch (error) {
+    const durationMs = Date.now() - startedAt;
+    events("tool_result", { name: toolName, ok: false, output: null, error: error.message, durationMs });
+    events("final", { status: "error", output: null, error: error.message, durationMs });
+    return false;
   }
 }
 
+// List saved agent sessions
+async function listSessions() {
+  const summaries = await sessions.list();
+
+  if (summaries.length === 0) {
+    console.log("No saved sessions yet. Start one with: cursor-ai");
+    return;
+  }
+
+  console.log("\n💾 Saved Sessions:");
+  for (const summary of summaries) {
+    const title = summary.title.length > 70 ? `${summary.title.slice(0, 70)}...` : summary.title;
+    console.log(`\n  ${summary.id}  ${new Date(summary.updatedAt).toLocaleString()}  ${summary.turns} turn${summary.turns === 1 ? "" : "s"}  ${summary.model || ""}`);
+    console.log(`    📁 ${summary.cwd}`);
+    console.log(`    💬 ${title}`);
+  }
+  console.log("\nResume with: cursor-ai resume <id>");
+}
+
+// Print the full transcript of a saved session
+async function showSession(id) {
+  const session = await sessions.load(id);
+
+  console.log(`\n💾 Session ${session.id}`);
+  console.log(`   Directory: ${session.cwd}`);
+  console.log(`   Model: ${session.provider || "unknown"}/${session.model || "unknown"}`);
+  console.log(`   Created: ${new Date(session.createdAt).toLocaleString()}`);
+  console.log(`   Updated: ${new Date(session.updatedAt).toLocaleString()}`);
+  if (session.usage?.calls > 0) {
+    console.log(`   Usage: ${formatUsage(session.usage)}`);
+  }
+
+  for (const message of session.messages) {
+    if (message.role === "user") {
+      console.log("\n" + "=".repeat(60));
+      console.log(`👤 USER: ${message.content}`);
+      console.log("=".repeat(60) + "\n");
+    } else if (message.role === "assistant" && message.toolCalls?.length > 0) {
+      if (message.content) {
+        logStep({ type: "plan", plan: message.content });
+      }
+      for (const call of message.toolCalls) {
+        logStep({ type: "action", function: call.name, input: call.args });
+      }
+    } else if (message.role === "assistant") {
+      logStep({ type: "output", output: message.content });
+    } else if (message.role === "tool") {
+      logStep({ type: "observation", observation: message.content });
+    }
+  }
+}
+
+// A session's conversation as Markdown, for /save <file>
+function transcriptMarkdown(session) {
+  const lines = [
+    `# Session ${session.id}`,
+    "",
+    `- Directory: ${session.cwd}`,
+    `- Model: ${session.provider || "unknown"}/${session.model || "unknown"}`,
+    `- Updated: ${new Date(session.updatedAt).toLocaleString()}`,
+  ];
+  for (const message of session.messages) {
+    if (message.role === "user") {
+      lines.push("", "## 👤 User", "", message.content);
+    } else if (message.role === "assistant") {
+      lines.push("", "## 🤖 Assistant");
+      if (message.content) lines.push("", message.content);
+      for (const call of message.toolCalls || []) {
+        lines.push("", `**${call.name}**`, "", "```json", JSON.stringify(call.args, null, 2), "```");
+      }
+    } else if (message.role === "tool") {
+      lines.push("", `### Result of ${message.name}`, "", "```", message.content, "```");
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// List the agent profiles from config, marking the active one
+async function showProfiles() {
+  const ai = await getConfig("ai");
+  const active = (await getAgentSettings()).name;
+  console.log("\n🎛️  Agent profiles:");
+  for (const [name, profile] of Object.entries(ai.profiles || {})) {
+    console.log(`  ${name === active ? "▶" : " "} ${describeProfile(name, profile)}`);
+  }
+  console.log(`\nSwitch with /profile <name> (or /profile none), or start with --profile <name>.`);
+}
+
+// List the checkpoints of the current workspace, newest first
+async function listCheckpoints() {
+  const store = await getCheckpoints();
+  const checkpoints = await store.list();
+
+  if (checkpoints.length === 0) {
+    console.log(`No checkpoints for ${store.root} yet. They are created when the agent changes files.`);
+    return;
+  }
+
+  console.log(`\n⏪ Checkpoints for ${store.root}:`);
+  checkpoints.reverse().forEach((checkpoint, index) => {
+    const files = checkpoint.entries.map((entry) => path.relative(process.cwd(), entry.path) || ".");
+    const prompt = checkpoint.prompt.length > 70 ? `${checkpoint.prompt.slice(0, 70)}...` : checkpoint.prompt;
+    console.log(`\n  #${checkpoint.id}  ${new Date(checkpoint.createdAt).toLocaleString()}  (undo ${index + 1} to roll back)`);
+    console.log(`    💬 ${prompt}`);
+    console.log(`    📄 ${files.join(", ")}`);
+  });
+  console.log("\nRoll back with: cursor-ai undo [n]");
+}
+
+// Roll back the file changes of the last count agent turns
+async function undoCheckpoints(count = 1) {
+  const store = await getCheckpoints();
+  for (const { checkpoint, restored, deleted } of await store.undo(count)) {
+    console.log(`\n⏪ Rolled back checkpoint #${checkpoint.id}: ${checkpoint.prompt}`);
+    restored.forEach((file) => console.log(`   ♻️  restored ${path.relative(process.cwd(), file)}`));
+    deleted.forEach((file) => console.log(`   🗑️  deleted ${path.relative(process.cwd(), file)}`));
+    if (restored.length === 0 && deleted.length === 0) {
+      console.log("   (files already matched the checkpoint)");
+    }
+  }
+}
+
+// Reload a saved session into the agent and continue interactively
+async function resumeSession(id) {
+  const session = await sessions.load(id);
+
+  try {
+    process.chdir(session.cwd);
+  } catch (error) {
+    console.log(`⚠️  Directory ${session.cwd} is not available; continuing in ${process.cwd()}`);
+  }
+
+  await interactiveMode(session);
+}
+
 // Main CLI function
 async function main() {
   const { command, options } = parseArgs();
 
+  if (options.approval) {
+    if (!POLICIES[options.approval]) {
+      console.error(`❌ Error: Unknown approval policy '${options.approval}'`);
+      console.log(`Policies: ${Object.keys(POLICIES).join(", ")}`);
+      process.exit(1);
+    }
+    approvalFlag = options.approval;
+  }
+
+  if (options.profile !== undefined) {
+    try {
+      resolveProfile(await getConfig("ai"), String(options.profile));
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    profileName = String(options.profile);
+  }
+
+  planMode = Boolean(options.plan);
+
+  if (options.output !== undefined && options.output !== "text") {
+    if (options.output !== "json") {
+      console.error(`❌ Error: Unknown output format '${options.output}'`);
+      console.log("Formats: text, json");
+      process.exit(1);
+    }
+    useJsonOutput();
+  }
+
   if (command === 'interactive') {
     await interactiveMode();
     return;
   }
 
-  // Handle specific commands with direct tool execution
+  // Handle specific commands with direct tool execution, exiting with 1 when the tool fails
+  const runTool = async (toolName, input) => {
+    if (!(await executeDirectTool(toolName, input))) process.exit(1);
+  };
   switch (command) {
     case "browse":
-      await executeDirectTool("browseDirectory", { 
+      await runTool("browseDirectory", { 
         path: options.path || ".", 
         recursive: options.recursive || false,
         maxDepth: options.maxDepth || 3,
@@ -783,7 +1295,7 @@ async function main() {
         console.log("Usage: cursor-ai find <pattern> [directory] [options]");
         process.exit(1);
       }
-      await executeDirectTool("findFiles", { 
+      await runTool("findFiles", { 
         pattern: options.pattern,
         directory: options.directory || ".",
         fileTypes: options.fileTypes || [],
@@ -799,7 +1311,7 @@ async function main() {
         console.log("Usage: cursor-ai search <pattern> [directory] [options]");
         process.exit(1);
       }
-      await executeDirectTool("searchInFiles", { 
+      await runTool("searchInFiles", { 
         pattern: options.pattern,
         directory: options.directory || ".",
         fileExtension: options.fileTypes ? options.fileTypes[0] : undefined
@@ -812,7 +1324,7 @@ async function main() {
         console.log("Usage: cursor-ai replace <search> <replace> [directory] [options]");
         process.exit(1);
       }
-      await executeDirectTool("globalSearchReplace", { 
+      await runTool("globalSearchReplace", { 
         searchText: options.searchText,
         replaceText: options.replaceText,
         directory: options.directory || ".",
@@ -828,7 +1340,7 @@ async function main() {
         console.log("Usage: cursor-ai create <name> [type] [template] [directory]");
         process.exit(1);
       }
-      await executeDirectTool("createProject", { 
+      await runTool("createProject", { 
         name: options.name,
         type: options.type || "node",
         template: options.template || "basic",
@@ -837,7 +1349,7 @@ async function main() {
       break;
       
     case "backup":
-      await executeDirectTool("backupWorkspace", { 
+      await runTool("backupWorkspace", { 
         backupPath: options.backupPath || "./backups",
         includeNodeModules: options.includeNodeModules || false,
         compression: options.compression || false
@@ -845,11 +1357,11 @@ async function main() {
       break;
       
     case "info":
-      await executeDirectTool("getSystemInfo", {});
+      await runTool("getSystemInfo", {});
       break;
       
     case "templates":
-      await executeDirectTool("listTemplates", {});
+      await runTool("listTemplates", {});
       break;
       
     case "generate":
@@ -859,7 +1371,7 @@ async function main() {
         console.log("Types: function, class, component, api, test");
         process.exit(1);
       }
-      await executeDirectTool("generateCode", {
+      await runTool("generateCode", {
         type: options.type,
         description: options.description || "Generated code",
         language: options.language || "javascript",
@@ -873,7 +1385,7 @@ async function main() {
         console.log("Usage: cursor-ai implement <feature description>");
         process.exit(1);
       }
-      await executeDirectTool("implementFeature", {
+      await runTool("implementFeature", {
         feature: options.feature,
         language: options.language || "javascript",
         framework: options.framework || "node",
@@ -888,7 +1400,7 @@ async function main() {
         console.log("Usage: cursor-ai refactor <file> [type]");
         process.exit(1);
       }
-      await executeDirectTool("refactorCode", {
+      await runTool("refactorCode", {
         filePath: options.filePath,
         refactorType: options.refactorType || "optimize",
         outputFile: options.outputFile
@@ -901,7 +1413,7 @@ async function main() {
         console.log("Usage: cursor-ai api <name>");
         process.exit(1);
       }
-      await executeDirectTool("createAPI", {
+      await runTool("createAPI", {
         name: options.name,
         framework: options.framework || "express",
         endpoints: options.endpoints || [],
@@ -918,7 +1430,7 @@ async function main() {
         console.log("Types: calculator, todo, weather, custom");
         process.exit(1);
       }
-      await executeDirectTool("generateApp", {
+      await runTool("generateApp", {
         name: options.name,
         type: options.type || "calculator",
         framework: options.framework || "vanilla",
@@ -931,16 +1443,100 @@ async function main() {
       
     case "config":
       if (options.get) {
-        await executeDirectTool("getConfig", { path: options.get });
+        await runTool("getConfig", { path: options.get });
       } else if (options.set) {
-        await executeDirectTool("setConfig", { path: options.set, value: options.value });
+        await runTool("setConfig", { path: options.set, value: options.value });
       } else {
         console.log("Usage: cursor-ai config get <path> | set <path> <value>");
       }
       break;
       
+    case "sessions":
+      try {
+        if (!options.action || options.action === "list") {
+          await listSessions();
+        } else if (options.action === "show" && options.id) {
+          await showSession(options.id);
+        } else {
+          console.log("Usage: cursor-ai sessions list | sessions show <id>");
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+      
+    case "apply":
+      if (!options.file) {
+        console.error("❌ Error: Patch file is required");
+        console.log("Usage: cursor-ai apply <patchfile> [--dry-run]");
+        process.exit(1);
+      }
+      try {
+        const patch = await fs.readFile(options.file, "utf-8");
+        await runTool("applyPatch", { patch, dryRun: options["dry-run"] === true });
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case "run": {
+      // Plan mode waits for the plan to be approved, which a script cannot do
+      if (planMode) {
+        console.error("❌ Error: --plan needs interactive approval and is not supported by run");
+        process.exit(EXIT_CODES.usage);
+      }
+      let task;
+      try {
+        task = await readTask(options);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.log("Usage: cursor-ai run \"<task>\" | run -f <file> | run -");
+        process.exit(EXIT_CODES.usage);
+      }
+      try {
+        process.exit(await runHeadless(task));
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(EXIT_CODES.usage);
+      }
+    }
+
+    case "checkpoints":
+      await listCheckpoints();
+      break;
+
+    case "undo":
+      try {
+        await undoCheckpoints(options.count ?? 1);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+      
+    case "resume":
+      if (!options.id) {
+        console.error("❌ Error: Session id is required");
+        console.log("Usage: cursor-ai resume <id>");
+        process.exit(1);
+      }
+      try {
+        await resumeSession(options.id);
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+      
     case "help":
-      showHelp();
+      if (options.topic) {
+        showToolHelp(options.topic);
+      } else {
+        showHelp();
+      }
       break;
       
     default:
@@ -965,6 +1561,10 @@ function showHelp() {
   console.log("  replace <old> <new> [dir]     Global search and replace");
   console.log("  create <name> [type] [tmpl]  Create new project");
   console.log("  backup [path]                 Backup workspace");
+  console.log("  run <task> | -f <file> | -   Run one agent task without prompts (- reads stdin); exit code:");
+  console.log("                               0 done, 1 not started, 2 step limit or budget, 3 tool failed,");
+  console.log("                               4 model failed, 130 cancelled");
+  console.log("  apply <patchfile>            Apply a unified diff (git diff or diff -u) to the workspace");
   console.log("  generate <type> <desc>        Generate code (function, class, component, api, test)");
   console.log("  implement <feature>          Implement a complete feature");
   console.log("  refactor <file> [type]       Refactor existing code");
@@ -974,7 +1574,14 @@ function showHelp() {
   console.log("  templates                    List available templates");
   console.log("  config get <path>            Get configuration value");
   console.log("  config set <path> <value>    Set configuration value");
+  console.log("  sessions [list]              List saved agent sessions");
+  console.log("  sessions show <id>           Show the transcript of a session");
+  console.log("  resume <id>                  Continue a saved session interactively");
+  console.log("  checkpoints                  List the agent's file checkpoints for this workspace");
+  console.log("  undo [n]                     Roll back the file changes of the last n agent turns");
   console.log("  help                         Show this help");
+  console.log("  help tools                   List the tools available to the agent");
+  console.log("  help <tool>                  Show the parameters of a tool");
   
   console.log("\nOPTIONS:");
   console.log("  --recursive                  Enable recursive operations");
@@ -984,6 +1591,13 @@ function showHelp() {
   console.log("  --exclude-dirs <dirs>         Exclude directories (comma-separated)");
   console.log("  --dry-run                     Show what would be done without making changes");
   console.log("  --include-node-modules       Include node_modules in operations");
+  console.log("  --approval <policy>          Approval of agent writes and commands:");
+  for (const [policy, description] of Object.entries(POLICIES)) {
+    console.log(`    ${policy.padEnd(27)}${description}`);
+  }
+  console.log("  --profile <name>             Agent profile from ai.profiles (e.g. fast, thorough, review)");
+  console.log("  --plan                       Interactive mode: plan each request and approve the plan first");
+  console.log("  --output <text|json>         json: one JSON event per line on stdout (messages go to stderr)");
   
   console.log("\nEXAMPLES:");
   console.log("  cursor-ai browse . --recursive --max-depth 3");
@@ -1001,6 +1615,10 @@ function showHelp() {
   console.log("  cursor-ai app weather-app weather");
   console.log("  cursor-ai config get global.maxDepth");
   console.log("  cursor-ai config set global.maxDepth 10");
+  console.log("  cursor-ai run 'fix the failing test' --approval allow-writes");
+  console.log("  cursor-ai sessions list");
+  console.log("  cursor-ai resume 20261019-a1b2c3");
+  console.log("  cursor-ai find '*.test.js' --output json");
   
   console.log("\nPROJECT TEMPLATES:");
   console.log("  node basic                   Basic Node.js project");
@@ -1016,6 +1634,26 @@ function showHelp() {
   console.log("\nFor more information, visit: https://github.com/your-repo/cursor-clone");
 }
 
+// Show the tool reference generated from the tool schemas
+function showToolHelp(topic) {
+  if (topic === "tools") {
+    console.log("\n🧰 Agent Tools:");
+    for (const [name, tool] of Object.entries(tools)) {
+      console.log(`  ${name.padEnd(22)} ${tool.description}`);
+    }
+    console.log("\nRun 'cursor-ai help <tool>' for the parameters of a tool.");
+    return;
+  }
+
+  const name = Object.keys(tools).find((candidate) => candidate.toLowerCase() === topic.toLowerCase());
+  if (!name) {
+    console.error(`❌ Unknown help topic: ${topic}`);
+    console.log("Run 'cursor-ai help tools' for the list of tools.");
+    process.exit(1);
+  }
+  console.log(`\n${formatToolHelp(name, tools[name])}`);
+}
+
 // Handle errors
 process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
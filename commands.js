@@ -0,0 +1,113 @@
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Slash commands of the interactive prompt. A line whose first word is "/" and a registered
+// command name runs that command; anything else, including a line starting with a path such as
+// "/etc/hosts", is a request for the agent. Plugins add commands through register().
+
+// Split "/name rest of line" into { name, args }, or null for a plain line
+export function parseCommandLine(line) {
+  const match = line.trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+  return match ? { name: match[1].toLowerCase(), args: match[2].trim() } : null;
+}
+
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  // Add a command. run(args, context) gets the text after the name and the interactive context;
+  // complete(prefix, context) may return candidates for the argument being typed.
+  register(name, { description, usage = "", aliases = [], run, complete = null }) {
+    for (const key of [name, ...aliases]) {
+      if (this.commands.has(key)) {
+        throw new Error(`Slash command /${key} is already registered`);
+      }
+    }
+    const command = { name, description, usage, aliases, run, complete };
+    for (const key of [name, ...aliases]) {
+      this.commands.set(key, command);
+    }
+    return this;
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  // Whether a line runs a command rather than going to the agent
+  isCommand(line) {
+    const parsed = parseCommandLine(line);
+    return Boolean(parsed && this.get(parsed.name));
+  }
+
+  // Every command once, by name
+  list() {
+    return [...new Set(this.commands.values())].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async execute(line, context) {
+    const { name, args } = parseCommandLine(line);
+    const command = this.get(name);
+    if (!command) {
+      const similar = this.list().filter((candidate) => candidate.name.startsWith(name.slice(0, 2)));
+      const hint = name && similar.length > 0 ? ` Did you mean ${similar.map((c) => `/${c.name}`).join(", ")}?` : "";
+      throw new Error(`Unknown command /${name}.${hint} Type /help to list the commands.`);
+    }
+    return command.run(args, context);
+  }
+
+  // readline completion: command names after "/", then the command's own argument candidates
+  async complete(line, context) {
+    const parsed = parseCommandLine(line);
+    if (!parsed) {
+      return [[], line];
+    }
+
+    if (!/\s/.test(line.trimStart())) {
+      const names = [...this.commands.keys()].filter((name) => name.startsWith(parsed.name)).sort();
+      return [names.map((name) => `/${name} `), line];
+    }
+
+    const command = this.get(parsed.name);
+    if (!command?.complete) {
+      return [[], line];
+    }
+    const prefix = line.match(/(\S*)$/)[1];
+    const candidates = await command.complete(prefix, context);
+    return [candidates.filter((candidate) => candidate.startsWith(prefix)), prefix];
+  }
+
+  // Load plugin modules, with relative paths resolved against baseDir (the config directory,
+  // so plugins load the same from any working directory). A plugin exports register(commands),
+  // which adds its commands to this registry.
+  async loadPlugins(modules = [], baseDir = process.cwd()) {
+    const failures = [];
+    for (const module of modules) {
+      try {
+        const plugin = await import(pathToFileURL(path.resolve(baseDir, module)).href);
+        const register = plugin.register || plugin.default;
+        if (typeof register !== "function") {
+          throw new Error("it does not export a register(commands) function");
+        }
+        await register(this);
+      } catch (error) {
+        failures.push(`${module}: ${error.message}`);
+      }
+    }
+    return failures;
+  }
+}
+
+// Help listing, e.g. "  /cd <dir>          Change the working directory"
+export function formatCommandHelp(registry) {
+  const commands = registry.list();
+  const labels = commands.map((command) => `/${command.name}${command.usage ? ` ${command.usage}` : ""}`);
+  const width = Math.max(0, ...labels.map((label) => label.length));
+  return commands
+    .map((command, index) => {
+      const aliases = command.aliases.length > 0 ? ` (also ${command.aliases.map((alias) => `/${alias}`).join(", ")})` : "";
+      return `  ${labels[index].padEnd(width)}  ${command.description}${aliases}`;
+    })
+    .join("\n");
+}
@@ -2,7 +2,7 @@ import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
-const CONFIG_DIR = path.join(os.homedir(), ".cursor-clone");
+export const CONFIG_DIR = path.join(os.homedir(), ".cursor-clone");
 const CONFIG_FILE = path.join(CONFIG_DIR, "config.json");
 
 // Default configuration
@@ -73,16 +73,99 @@ const defaultConfig = {
     includeNodeModules: false,
     compression: false,
     autoBackup: false,
-    backupInterval: 24 // hours
+    backupInterval: 24, // hours
+    // Paths the agent's file tools may touch
+    root: null, // defaults to the directory the agent is started in
+    allowedPaths: [] // extra directories outside the root, e.g. "~/backups"
   },
   
   // AI settings
   ai: {
-    model: "gemini-2.0-flash-exp",
+    provider: "gemini", // gemini, openai or ollama
+    providers: {
+      gemini: {
+        apiKeyEnv: "GOOGLE_API_KEY"
+      },
+      openai: {
+        baseUrl: "https://api.openai.com/v1", // any OpenAI-compatible endpoint
+        apiKeyEnv: "OPENAI_API_KEY",
+        model: "gpt-4o-mini"
+      },
+      ollama: {
+        baseUrl: "http://localhost:11434",
+        model: "llama3.1"
+      }
+    },
+    model: "gemini-2.0-flash-exp", // used by providers without their own model setting
     maxSteps: 50,
-    timeout: 30000, // milliseconds
+    maxRepairs: 3, // corrective retries after consecutive invalid model steps
+    context: {
+      budget: 100000, // tokens sent to the model per request
+      threshold: 0.8, // compact older observations above this share of the budget
+      keepRecent: 6 // most recent messages that are never compacted
+    },
+    // USD per million tokens, by model name or name prefix, for cost estimates
+    prices: {
+      "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+      "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+      "gemini-1.5-pro": { input: 1.25, output: 5 },
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      "gpt-4o": { input: 2.5, output: 10 }
+    },
+    budget: {
+      maxTokens: null, // stop a task once it has used this many tokens
+      maxCost: null // or this many dollars (needs a price for the model)
+    },
+    // Named settings selected with --profile or /profile; unset keys fall back to the ones above.
+    // Keys: provider, model, temperature, maxSteps, tools (allowed tool names), instructions
+    profile: null, // profile used when none is selected
+    profiles: {
+      fast: {
+        temperature: 0.2,
+        maxSteps: 15,
+        instructions: "Make the smallest change that solves the task. Keep explanations short."
+      },
+      thorough: {
+        temperature: 0.4,
+        maxSteps: 100,
+        instructions: "Read every relevant file before changing anything. After changing code, run the tests or the code to verify it, and explain the trade-offs of your approach."
+      },
+      review: {
+        tools: ["readFile", "listFiles", "browseDirectory", "findFiles", "searchInFiles", "analyzeError"],
+        instructions: "Review and explain code without changing any files. Point out bugs and risks with file paths and line numbers."
+      }
+    },
+    // Sub-agents the agent can hand investigation tasks to with the delegate tool. They get a
+    // fresh context and read-only tools; only their summaries come back.
+    delegate: {
+      enabled: true,
+      maxSteps: 15, // step limit per sub-agent
+      maxConcurrency: 3 // sub-agents running at the same time
+    },
+    timeout: 30000, // milliseconds per model request attempt; when streaming, the longest wait for the next chunk
+    // Transient model errors (429, 5xx, timeouts, network) are retried with exponential backoff
+    retry: {
+      retries: 3,
+      baseDelay: 1000, // milliseconds before the first retry, doubling each time
+      maxDelay: 30000 // longest wait between attempts; longer retry-after hints give up
+    },
     temperature: 0.7
-  }
+  },
+
+  // Snapshots taken before agent edits, for undo
+  checkpoints: {
+    max: 50 // checkpoints kept per workspace
+  },
+
+  // Approval of agent tool calls that write files or run commands
+  permissions: {
+    policy: "ask", // read-only | ask | allow-writes | allow-all
+    allow: [], // rules like { "tool": "executeCommand", "pattern": "npm test" }
+    deny: []
+  },
+
+  // Modules that add slash commands to the interactive prompt; each exports register(commands)
+  plugins: []
 };
 
 // Configuration management class
@@ -95,7 +178,7 @@ export class ConfigManager {
     try {
       await fs.mkdir(CONFIG_DIR, { recursive: true });
       const configData = await fs.readFile(CONFIG_FILE, "utf-8");
-      this.config = { ...defaultConfig, ...JSON.parse(configData) };
+      this.config = mergeDefaults(defaultConfig, JSON.parse(configData));
     } catch (error) {
       if (error.code === "ENOENT") {
         // Config file doesn't exist, use defaults
@@ -204,6 +287,17 @@ export class ConfigManager {
   }
 }
 
+// Fill in settings missing from a saved config so new defaults reach existing users
+function mergeDefaults(defaults, overrides) {
+  const result = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    const defaultIsObject = defaults[key] && typeof defaults[key] === "object" && !Array.isArray(defaults[key]);
+    result[key] = isObject && defaultIsObject ? mergeDefaults(defaults[key], value) : value;
+  }
+  return result;
+}
+
 // Global config instance
 export const config = new ConfigManager();
 
@@ -0,0 +1,121 @@
+import { withRetry } from "./retry.js";
+
+const SUMMARY_PROMPT = `
+You compress tool results from an AI coding agent's history so they take less space.
+Summarize the tool result you are given in a few sentences or a short list.
+Keep every detail the agent may still need: file paths, names, line numbers, error messages,
+command exit status and key values. Drop boilerplate and repeated content. Reply with the summary only.
+`;
+
+// Keeps the transcript sent to the model within a token budget.
+// When the total nears the budget, older tool observations are replaced by
+// model-generated summaries; user requests and the most recent messages stay verbatim.
+export class ContextManager {
+  constructor({ provider, usage = null, budget = 100000, threshold = 0.8, keepRecent = 6, minTokens = 200 } = {}) {
+    this.provider = provider;
+    this.usage = usage;
+    this.budget = budget;
+    this.threshold = threshold;
+    this.keepRecent = keepRecent;
+    this.minTokens = minTokens;
+    this.counts = new WeakMap();
+    this.systemCount = { text: null, tokens: 0 };
+  }
+
+  countMessage(message) {
+    if (!this.counts.has(message)) {
+      this.counts.set(message, this.countText(messageText(message)));
+    }
+    return this.counts.get(message);
+  }
+
+  // Rough local estimate (about 4 characters per token). Asking the provider would cost
+  // one request per message, and the threshold leaves room for the estimate to be off.
+  countText(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  countTotal(system, messages) {
+    if (this.systemCount.text !== system) {
+      this.systemCount = { text: system, tokens: this.countText(system) };
+    }
+
+    let total = this.systemCount.tokens;
+    for (const message of messages) {
+      total += this.countMessage(message);
+    }
+    return total;
+  }
+
+  // Compact the transcript in place if needed. Returns what was done, or null if nothing was.
+  // Throws when the transcript is still over the budget and nothing more can be summarized.
+  // Summary requests use the run's retry settings and stop when signal aborts.
+  async fit(system, messages, { signal, retry = {} } = {}) {
+    const limit = Math.floor(this.budget * this.threshold);
+    const before = this.countTotal(system, messages);
+    if (before <= limit) {
+      return null;
+    }
+
+    let total = before;
+    let compacted = 0;
+    const candidates = messages.slice(0, Math.max(0, messages.length - this.keepRecent));
+
+    // Oldest observations go first
+    for (const message of candidates) {
+      if (total <= limit) break;
+      if (message.role !== "tool" || message.summarized) continue;
+
+      const tokens = this.countMessage(message);
+      if (tokens < this.minTokens) continue;
+
+      message.content = `[Summary of earlier ${message.name} result] ${await this.summarize(message, { signal, retry })}`;
+      message.summarized = true;
+      this.counts.delete(message);
+      total += this.countMessage(message) - tokens;
+      compacted++;
+    }
+
+    if (total > this.budget) {
+      throw new Error(
+        `The conversation is about ${total.toLocaleString()} tokens, over the context budget of ` +
+        `${this.budget.toLocaleString()} (ai.context.budget), and nothing more can be summarized. ` +
+        "Start a new conversation (/clear) or raise ai.context.budget."
+      );
+    }
+    return compacted > 0 ? { compacted, before, after: total, budget: this.budget } : null;
+  }
+
+  async summarize(message, { signal, retry = {} } = {}) {
+    // Never send more than half the budget to the summarizer
+    const maxCharacters = this.budget * 2;
+    const content = message.content.length > maxCharacters
+      ? `${message.content.slice(0, maxCharacters)}\n... (${message.content.length - maxCharacters} more characters truncated)`
+      : message.content;
+
+    try {
+      const response = await withRetry(
+        ({ signal }) => this.provider.generate({
+          system: SUMMARY_PROMPT,
+          messages: [{ role: "user", content: `Tool: ${message.name}\nResult:\n${content}` }],
+          signal,
+        }),
+        { ...retry, signal }
+      );
+      // Summaries count towards the task's usage and budget too
+      if (response.usage) this.usage?.record(response.usage);
+      if (response.text.trim()) {
+        return response.text.trim();
+      }
+    } catch (error) {
+      // A cancelled run stops here; other failures fall through to a plain excerpt
+      if (signal?.aborted) throw error;
+    }
+    return `${message.content.slice(0, 1000)} ... (truncated from ${message.content.length} characters)`;
+  }
+}
+
+function messageText(message) {
+  const calls = (message.toolCalls || []).map((call) => `${call.name}(${JSON.stringify(call.args)})`);
+  return [message.content || "", ...calls].join("\n");
+}
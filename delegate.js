@@ -0,0 +1,166 @@
+import { AgentRunner } from "./agent.js";
+import { ContextManager } from "./context.js";
+import { describeTools } from "./tools.js";
+
+// Sub-agent delegation. The delegate tool hands self-contained investigation tasks to child
+// agent runs, each with a fresh transcript, read-only tools and its own step limit. Only the
+// children's final summaries reach the parent, which keeps its context small on broad questions.
+
+// Longest summary passed back per task
+const MAX_SUMMARY = 6000;
+
+const childPrompt = (toolset) => `
+You are a sub-agent working on one investigation task for a coordinating agent.
+The coordinating agent sees only your final reply, not your tool calls or their results.
+
+Your tools are provided to you as functions; they can read but not change anything.
+Parameters marked with ? are optional:
+${describeTools(toolset)}
+
+RULES:
+- Call one tool at a time and wait for its result
+- Stay within the task you were given
+- When done, reply with text only: a concise summary of your findings with the file paths,
+  line numbers, names and values the coordinating agent needs. Do not paste whole files.
+`;
+
+// Create the delegate tool for a parent agent. tools is the parent's toolset; children may use
+// its read-only tools. usage, workspace, retry, maxRepairs and context (ai.context settings) are
+// shared with the parent so children are budgeted, confined and retried the same way.
+export function createDelegateTool({
+  provider,
+  tools,
+  usage = null,
+  workspace = null,
+  retry = {},
+  maxRepairs = 3,
+  context = {},
+  maxSteps = 15,
+  maxConcurrency = 3,
+}) {
+  const readOnly = Object.fromEntries(Object.entries(tools).filter(([, tool]) => tool.access === "read"));
+
+  const runTask = async ({ task, tools: names, maxSteps: steps }, index, { signal, onProgress }) => {
+    const toolset = names?.length > 0
+      ? Object.fromEntries(names.map((name) => [name, readOnly[name]]))
+      : readOnly;
+    const childUsage = usage?.forSubtask() || null;
+    const label = `sub-agent ${index + 1}`;
+
+    const child = new AgentRunner({
+      provider,
+      system: childPrompt(toolset),
+      tools: toolset,
+      maxSteps: Math.min(Number(steps) || maxSteps, maxSteps),
+      maxRepairs,
+      retry,
+      usage: childUsage,
+      workspace,
+      context: new ContextManager({ provider, usage: childUsage, ...context }),
+      stream: false,
+      onStep: (step) => {
+        if (step.type === "action") onProgress?.({ message: `${label}: ${step.function}` });
+      },
+    });
+
+    const result = await child.run(task, { signal });
+    return formatResult(task, index, result);
+  };
+
+  return {
+    description: "Hand investigation tasks to sub-agents with a fresh context and read-only tools. " +
+      "Independent tasks run in parallel. Use it for broad questions that would otherwise read many files",
+    returns: { type: "string", description: "Each task's status and the sub-agent's summary of its findings" },
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        tasks: {
+          type: "array",
+          description: `Independent tasks, up to ${maxConcurrency} run at a time`,
+          items: {
+            type: "object",
+            properties: {
+              task: { type: "string", description: "Self-contained instructions; the sub-agent does not see this conversation" },
+              tools: {
+                type: "array",
+                items: { type: "string" },
+                description: `Tools the sub-agent may use, from: ${Object.keys(readOnly).join(", ")}. Defaults to all of them`,
+              },
+              maxSteps: { type: "number", description: `Step limit for the sub-agent, at most ${maxSteps}` },
+            },
+            required: ["task"],
+          },
+        },
+      },
+      required: ["tasks"],
+    },
+    fn: async ({ tasks }, { signal, onProgress } = {}) => {
+      if (tasks.length === 0) {
+        throw new Error("No tasks given");
+      }
+      for (const { tools: names = [] } of tasks) {
+        const unknown = names.filter((name) => !readOnly[name]);
+        if (unknown.length > 0) {
+          throw new Error(
+            `Sub-agents cannot use ${unknown.join(", ")}. Available tools: ${Object.keys(readOnly).join(", ")}`
+          );
+        }
+      }
+
+      const results = await mapConcurrent(tasks, maxConcurrency, (task, index) =>
+        runTask(task, index, { signal, onProgress })
+      );
+      return results.join("\n\n");
+    },
+  };
+}
+
+function formatResult(task, index, result) {
+  const header = `Task ${index + 1}: ${task}\nStatus: ${result.status} after ${result.steps} step${result.steps === 1 ? "" : "s"}`;
+  switch (result.status) {
+    case "completed": {
+      const summary = result.output.output;
+      return `${header}\n${summary.length > MAX_SUMMARY ? `${summary.slice(0, MAX_SUMMARY)}\n... (summary truncated)` : summary}`;
+    }
+    case "error":
+      return `${header}\nError: ${result.error.message}`;
+    case "max_steps":
+      return `${header}\nThe sub-agent reached its step limit before finishing; its findings are incomplete.`;
+    default:
+      return `${header}\n${result.response || "The sub-agent stopped before finishing; its findings are incomplete."}`;
+  }
+}
+
+// Run fn over items with at most limit calls in flight, keeping the results in order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(Number(limit) || 1, items.length)) }, worker));
+  return results;
+}
+
+// The toolset with the delegate tool added, unless ai.delegate.enabled is false or the
+// profile lists its tools (profileTools) without "delegate". settings is config.ai.delegate;
+// the other options are passed on to createDelegateTool.
+export function withDelegate(toolset, settings, { profileTools = null, ...options } = {}) {
+  if (String(settings?.enabled) === "false" || (profileTools && !profileTools.includes("delegate"))) {
+    return toolset;
+  }
+  // Values set with `config set` arrive as strings
+  return {
+    ...toolset,
+    delegate: createDelegateTool({
+      ...options,
+      tools: toolset,
+      maxSteps: Number(settings?.maxSteps) || 15,
+      maxConcurrency: Number(settings?.maxConcurrency) || 3,
+    }),
+  };
+}
@@ -0,0 +1,227 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { ask } from "./permissions.js";
+
+// Line-based unified diffs, used to preview file changes and to describe them to the model
+
+// Changed lines beyond which a change is shown as a whole-block replacement instead of a
+// minimal diff. Myers' algorithm takes time and memory proportional to the number of changes.
+const MAX_EDIT_DISTANCE = 1000;
+
+// Shortest edit script between two texts (Myers' algorithm), as a list of
+// { type: " " | "-" | "+", line } operations. Past MAX_EDIT_DISTANCE changed lines, the
+// differing middle of the texts is removed and added whole.
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix do not need the full algorithm
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = shortestEdit(a.slice(start, endA), b.slice(start, endB)) ?? [
+    ...a.slice(start, endA).map((line) => ({ type: "-", line })),
+    ...b.slice(start, endB).map((line) => ({ type: "+", line })),
+  ];
+  return [
+    ...a.slice(0, start).map((line) => ({ type: " ", line })),
+    ...middle,
+    ...a.slice(endA).map((line) => ({ type: " ", line })),
+  ];
+}
+
+// Unified diff of two texts with the given number of context lines.
+// Returns the diff text and the number of added and removed lines.
+export function createUnifiedDiff(oldText, newText, { oldPath = "a", newPath = "b", context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+  const added = ops.filter((op) => op.type === "+").length;
+  const removed = ops.filter((op) => op.type === "-").length;
+  if (added === 0 && removed === 0) {
+    return { diff: "", added, removed };
+  }
+
+  // Old and new line numbers before each operation
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== "+") oldLine++;
+    if (op.type !== "-") newLine++;
+  }
+
+  const lines = [`--- ${oldPath}`, `+++ ${newPath}`];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === " ") {
+      index++;
+      continue;
+    }
+
+    // Extend the hunk while the next change is within two context windows
+    const first = Math.max(0, index - context);
+    let last = index;
+    for (let next = index; next < ops.length; next++) {
+      if (ops[next].type !== " ") {
+        if (next - last > context * 2) break;
+        last = next;
+      }
+    }
+    const end = Math.min(ops.length, last + context + 1);
+    const hunk = ops.slice(first, end);
+
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+    const oldStart = oldCount === 0 ? positions[first].oldLine - 1 : positions[first].oldLine;
+    const newStart = newCount === 0 ? positions[first].newLine - 1 : positions[first].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) lines.push(`${op.type}${op.line}`);
+    index = end;
+  }
+
+  return { diff: lines.join("\n"), added, removed };
+}
+
+// Color a unified diff for the terminal, unless output is not a terminal or NO_COLOR is set
+export function colorizeDiff(diff) {
+  if (!process.stdout.isTTY || process.env.NO_COLOR) {
+    return diff;
+  }
+
+  return diff
+    .split("\n")
+    .map((line) => {
+      if (line.startsWith("+++") || line.startsWith("---")) return `\x1b[1m${line}\x1b[0m`;
+      if (line.startsWith("@@")) return `\x1b[36m${line}\x1b[0m`;
+      if (line.startsWith("+")) return `\x1b[32m${line}\x1b[0m`;
+      if (line.startsWith("-")) return `\x1b[31m${line}\x1b[0m`;
+      return line;
+    })
+    .join("\n");
+}
+
+// One-line summary such as "+3 -1 lines"
+export function formatDiffStats({ added, removed }) {
+  return `+${added} -${removed} line${added + removed === 1 ? "" : "s"}`;
+}
+
+// Review a proposed file change on a readline interface: accept, reject, or edit it in $EDITOR
+export function createReviewPrompt(readline) {
+  return async ({ path: filePath, diff, added, removed, content, signal }) => {
+    const question = (text) => ask(readline, text, signal);
+    console.log(`\n📝 Proposed change to ${filePath} (${formatDiffStats({ added, removed })}):`);
+    console.log(colorizeDiff(diff));
+
+    while (true) {
+      const answer = (await question("   Apply? [a] accept / [r] reject / [e] edit: ")).trim().toLowerCase();
+      if (answer === "a" || answer === "accept" || answer === "y") {
+        return { decision: "accept" };
+      }
+      if (answer === "r" || answer === "reject" || answer === "n") {
+        return { decision: "reject" };
+      }
+      if (answer === "e" || answer === "edit") {
+        readline.pause();
+        try {
+          return { decision: "edit", content: editInEditor(content, filePath) };
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+        } finally {
+          readline.resume();
+        }
+      }
+    }
+  };
+}
+
+// Open content in the user's editor and return the saved result
+export function editInEditor(content, filePath) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+  const tempFile = path.join(os.tmpdir(), `cursor-edit-${process.pid}-${path.basename(filePath)}`);
+
+  fs.writeFileSync(tempFile, content, "utf-8");
+  try {
+    const result = spawnSync(`${editor} "${tempFile}"`, { stdio: "inherit", shell: true });
+    if (result.status !== 0) {
+      throw new Error(`Editor '${editor}' exited with status ${result.status}`);
+    }
+    return fs.readFileSync(tempFile, "utf-8");
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+// Number of lines in a text, not counting a final newline
+export function countLines(text) {
+  return splitLines(text).length;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Myers' algorithm, or null when the texts differ in more than MAX_EDIT_DISTANCE lines.
+// trace[d] keeps only diagonals -d-1..d+1, so memory grows with the number of changes, not the
+// length of the texts.
+function shortestEdit(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  search: for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break search;
+    }
+  }
+
+  // Walk the trace back from the end to recover the operations
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[d + k] < previous[d + k + 2]) ? k + 1 : k - 1;
+    const previousX = previous[d + 1 + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push({ type: " ", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        ops.push({ type: "+", line: b[y - 1] });
+        y--;
+      } else {
+        ops.push({ type: "-", line: a[x - 1] });
+        x--;
+      }
+    }
+  }
+  return ops.reverse();
+}
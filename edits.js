@@ -0,0 +1,131 @@
+// Search/replace edits for the editFile tool
+
+// Apply { oldText, newText } blocks in order. Each oldText must match exactly once in the
+// content as edited so far; with fuzzyWhitespace, whole lines may also match when they only
+// differ in indentation or spacing. Throws without a partial result if any block fails.
+export function applyEdits(content, edits, { fuzzyWhitespace = false } = {}) {
+  // Work on \n line endings and restore the file's own style at the end
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  let result = content.replace(/\r\n/g, "\n");
+
+  edits.forEach(({ oldText, newText }, index) => {
+    const label = edits.length > 1 ? `Edit ${index + 1} of ${edits.length}` : "Edit";
+    const search = oldText.replace(/\r\n/g, "\n");
+    const replacement = newText.replace(/\r\n/g, "\n");
+
+    if (search === "") {
+      throw new Error(`${label}: oldText is empty. Use writeFile to create or fully rewrite a file`);
+    }
+
+    const count = countOccurrences(result, search);
+    if (count === 1) {
+      const position = result.indexOf(search);
+      result = result.slice(0, position) + replacement + result.slice(position + search.length);
+      return;
+    }
+    if (count > 1) {
+      throw new Error(`${label}: oldText matches ${count} times. Include more surrounding lines so it matches exactly once`);
+    }
+
+    if (fuzzyWhitespace) {
+      const matches = findFuzzyMatches(result, search);
+      if (matches.length === 1) {
+        const lines = result.split("\n");
+        const { start, end } = matches[0];
+        result = [...lines.slice(0, start), ...(replacement === "" ? [] : splitBlock(replacement)), ...lines.slice(end)].join("\n");
+        return;
+      }
+      if (matches.length > 1) {
+        throw new Error(`${label}: oldText matches ${matches.length} times ignoring whitespace. Include more surrounding lines`);
+      }
+    }
+
+    throw new Error(`${label}: oldText was not found.${describeNearestMatch(result, search)}`);
+  });
+
+  return result.replace(/\n/g, eol);
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  for (let position = text.indexOf(search); position !== -1; position = text.indexOf(search, position + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Line ranges whose lines equal the search lines once whitespace is normalized
+function findFuzzyMatches(text, search) {
+  const lines = text.split("\n").map(normalize);
+  const wanted = splitBlock(search).map(normalize);
+  const matches = [];
+
+  for (let start = 0; start + wanted.length <= lines.length; start++) {
+    if (wanted.every((line, offset) => lines[start + offset] === line)) {
+      matches.push({ start, end: start + wanted.length });
+    }
+  }
+  return matches;
+}
+
+// The window of lines most similar to the search text, to help the model correct its oldText
+function describeNearestMatch(text, search) {
+  const lines = text.split("\n");
+  const wanted = splitBlock(search).map(normalize);
+  let best = { score: 0, start: 0 };
+
+  for (let start = 0; start + wanted.length <= lines.length; start++) {
+    let score = 0;
+    for (let offset = 0; offset < wanted.length; offset++) {
+      score += similarity(normalize(lines[start + offset]), wanted[offset]);
+    }
+    if (score > best.score) {
+      best = { score, start };
+    }
+  }
+
+  const percent = Math.round((best.score / wanted.length) * 100);
+  if (percent < 30) {
+    return " Nothing similar exists in the file; read it again before editing.";
+  }
+
+  const end = Math.min(lines.length, best.start + wanted.length);
+  const excerpt = lines
+    .slice(best.start, end)
+    .map((line, offset) => `${String(best.start + offset + 1).padStart(5)} | ${line}`)
+    .join("\n");
+  return ` Nearest match (lines ${best.start + 1}-${end}, ${percent}% similar):\n${excerpt}`;
+}
+
+function splitBlock(text) {
+  const lines = text.split("\n");
+  if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function normalize(line) {
+  return line.trim().replace(/\s+/g, " ");
+}
+
+// Dice coefficient over character bigrams, 0 (nothing shared) to 1 (identical)
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
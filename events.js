@@ -0,0 +1,82 @@
+// Machine-readable output for --output json: one JSON event per line (NDJSON). Every event has
+// a type and an ISO time; payloads are complete (nothing is truncated as in the terminal log).
+//
+//   start        a request was handed to the agent: prompt
+//   step         model text: step, kind ("plan" before tool calls, "output" for the answer), text
+//   tool_call    step, id, name, input
+//   tool_result  step, id, name, ok, output (as sent to the model), error, durationMs
+//   progress     name, message or output of a long-running tool
+//   usage        step, promptTokens, completionTokens, totalTokens, cost, estimated
+//   retry        step, attempt, retries, error, delayMs
+//   repair       problem, attempt, maxRepairs
+//   compaction   compacted, before, after, budget
+//   plan         decision ("approved" or "rejected"), plan
+//   final        status, output, message, error, steps, usage, durationMs
+
+// Emitter writing events to stdout, or to write(line)
+export function createEventStream(write = (line) => process.stdout.write(line)) {
+  return (type, data = {}) => {
+    write(`${JSON.stringify({ type, time: new Date().toISOString(), ...data })}\n`);
+  };
+}
+
+// AgentRunner hooks that report a run as events
+export function agentEvents(emit) {
+  let startedAt = Date.now();
+  // Action step -> when it started and in which model step, for its result
+  const calls = new Map();
+
+  return {
+    onStart: (prompt) => {
+      startedAt = Date.now();
+      emit("start", { prompt });
+    },
+    onStep: (step, stepCount) => {
+      if (step.type === "action") {
+        calls.set(step, { stepCount, startedAt: Date.now() });
+        emit("tool_call", { step: stepCount, id: step.id, name: step.function, input: step.input });
+      } else {
+        emit("step", { step: stepCount, kind: step.type, text: step.type === "plan" ? step.plan : step.output });
+      }
+    },
+    onObservation: (observation, { step, error }) => {
+      const call = calls.get(step);
+      calls.delete(step);
+      emit("tool_result", {
+        step: call?.stepCount,
+        id: step.id,
+        name: step.function,
+        ok: !error,
+        output: observation.observation,
+        error: error?.message ?? null,
+        durationMs: call ? Date.now() - call.startedAt : null,
+      });
+    },
+    onProgress: (name, { message, output }) => {
+      emit("progress", { name, ...(message && { message }), ...(output && { output }) });
+    },
+    onUsage: (usage, stepCount) => {
+      emit("usage", { step: stepCount, ...usage });
+    },
+    onRetry: ({ attempt, retries, error, delay }, stepCount) => {
+      emit("retry", { step: stepCount, attempt, retries, error: error.message, delayMs: delay });
+    },
+    onRepair: ({ problem, attempt, maxRepairs }) => {
+      emit("repair", { problem, attempt, maxRepairs });
+    },
+    onCompact: (compaction) => {
+      emit("compaction", compaction);
+    },
+    onFinish: (result) => {
+      emit("final", {
+        status: result.status,
+        output: result.output?.output ?? null,
+        message: result.response ?? null,
+        error: result.error?.message ?? null,
+        steps: result.steps,
+        usage: result.usage ?? null,
+        durationMs: Date.now() - startedAt,
+      });
+    },
+  };
+}
@@ -1,15 +1,34 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
 import readline from "readline";
-import { tools } from "./tools.js";
+import { describeTools } from "./tools.js";
+import { createProvider } from "./providers.js";
+import { getConfig } from "./config.js";
+import { sessions } from "./sessions.js";
+import { PermissionManager, createApprovalPrompt, resolvePolicy } from "./permissions.js";
+import { CheckpointStore } from "./checkpoints.js";
+import { createReviewPrompt } from "./diff.js";
+import { UsageTracker } from "./usage.js";
+import { resolveProfile } from "./profiles.js";
+import { runWithPlan, createPlanReview, formatPlan } from "./plan.js";
+import { createAgentRunner, terminalHooks, reportPlanProgress } from "./runner.js";
 import fs from "fs/promises";
 import path from "path";
 
 dotenv.config();
 
-const genAi = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Model, step limit and tools come from config.ai, with the ai.profile profile applied
+const settings = resolveProfile(await getConfig("ai"));
+const provider = createProvider(settings.ai);
 
-const prompt = `
+// Token usage per task and session, priced with ai.prices and limited by ai.budget
+const usage = new UsageTracker({
+  model: provider.model,
+  prices: await getConfig("ai.prices"),
+  ...(await getConfig("ai.budget")),
+});
+
+// Prompt for the tools the agent gets (see runner.js)
+const prompt = (toolset) => `
 You are an advanced AI coding assistant with capabilities similar to Claude IDE. You help developers write, debug, and improve code.
 
 You have access to powerful tools and should operate in the following states: USER, PLAN, ACTION, OBSERVATION, OUTPUT
@@ -21,54 +40,11 @@ STATES:
 - OBSERVATION: Process the result of your action
 - OUTPUT: Provide the final response with explanations
 
-AVAILABLE TOOLS:
-1. executeCommand: Execute shell commands
-   - Input: command string
-   - Use OS-appropriate commands (Windows/Unix)
-
-2. readFile: Read file contents
-   - Input: file path (relative or absolute)
-   - Returns: file contents as string
-
-3. writeFile: Write or overwrite file contents
-   - Input: { path: string, content: string }
-   - Creates directories if needed
-
-4. listFiles: List files in a directory
-   - Input: directory path
-   - Returns: array of files and folders
-
-5. analyzeError: Analyze error messages and stack traces
-   - Input: error message or stack trace
-   - Returns: detailed analysis and suggestions
-
-6. browseDirectory: Advanced directory browsing with filtering
-   - Input: { path, recursive, maxDepth, includeHidden, fileTypes, excludeDirs, sortBy, order }
-   - Returns: detailed directory structure with metadata
-
-7. findFiles: Find files across directories with pattern matching
-   - Input: { pattern, directory, fileTypes, excludeDirs, maxDepth, includeHidden }
-   - Returns: list of matching files with metadata
-
-8. globalSearchReplace: Search and replace text across multiple files
-   - Input: { searchText, replaceText, directory, fileTypes, excludeDirs, dryRun }
-   - Returns: search results and replacement statistics
-
-9. createProject: Create new projects with templates
-   - Input: { name, type, template, directory }
-   - Returns: project creation confirmation
-
-10. backupWorkspace: Create workspace backups
-    - Input: { backupPath, includeNodeModules, compression }
-    - Returns: backup location and details
-
-11. searchInFiles: Search for text patterns in files
-    - Input: { pattern, directory, fileExtension }
-    - Returns: search results with context
-
-12. getSystemInfo: Get system information
-    - Input: none
-    - Returns: system details and environment info
+TOOLS:
+Your tools are provided to you as functions. Call them directly; do not describe tool calls in text.
+Parameters marked with ? are optional:
+${describeTools(toolset)}
+Use OS-appropriate shell commands (Windows/Unix) with executeCommand.
 
 CAPABILITIES:
 - Read existing codebases to understand context
@@ -81,6 +57,7 @@ CAPABILITIES:
 
 BEST PRACTICES:
 - Always read relevant files before making changes
+- Change existing files with editFile; use writeFile only for new files or complete rewrites
 - Analyze error stacks thoroughly before suggesting fixes
 - Provide clear explanations for each step
 - Use descriptive variable/function names
@@ -88,159 +65,142 @@ BEST PRACTICES:
 - Follow language-specific conventions
 - Test commands and validate outputs
 
-RESPONSE FORMAT:
-All responses must be valid JSON in one of these formats:
-
-Plan: {"type": "plan", "plan": "Detailed explanation of next step"}
-Action: {"type": "action", "function": "toolName", "input": inputData}
-Output: {"type": "output", "output": "Final response with explanations", "summary": "Brief summary"}
-
 WORKFLOW EXAMPLE:
 
 User Request: "Fix the bug in my React component"
 
-Step 1: {"type": "plan", "plan": "Read the React component file to understand the current implementation"}
-Step 2: {"type": "action", "function": "readFile", "input": "src/Component.jsx"}
-Step 3: (observation provided by system)
-Step 4: {"type": "plan", "plan": "Analyze the code and identify the issue"}
-Step 5: {"type": "plan", "plan": "Write the corrected code to the file"}
-Step 6: {"type": "action", "function": "writeFile", "input": {"path": "src/Component.jsx", "content": "..."}}
-Step 7: {"type": "output", "output": "Fixed the bug...", "summary": "Component updated"}
+Step 1: Explain the plan ("Read the component to understand the current implementation") and call readFile with path "src/Component.jsx"
+Step 2: (function result provided by system)
+Step 3: Explain what is wrong and call editFile, replacing the faulty lines with the corrected code
+Step 4: (function result provided by system)
+Step 5: Reply with text only: "Fixed the bug..." with an explanation of the change
 
 IMPORTANT RULES:
-- Return ONLY ONE step at a time as JSON
-- Wait for observations after each action
-- Always provide context in plans
+- Call one tool at a time and wait for its result
+- Always explain your plan in text alongside a function call
+- When the task is done, reply with text only
 - Be thorough but efficient
 - Handle errors gracefully
 - Confirm success of operations
-
-The conversation builds incrementally. You receive previous steps and return the next step.
-Always wait for the complete message history before responding.
 `;
 
-const model = genAi.getGenerativeModel({
-  model: "gemini-2.0-flash-exp",
-  generationConfig: {
-    responseMimeType: "application/json",
-  },
-  systemInstruction: prompt,
-});
-
 const input = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
 });
 
-// Enhanced logging
-function logStep(step, prefix = "") {
-  console.log("\n" + "=".repeat(60));
-  if (step.type === "plan") {
-    console.log(`${prefix}📋 PLAN: ${step.plan}`);
-  } else if (step.type === "action") {
-    console.log(`${prefix}⚡ ACTION: ${step.function}`);
-    console.log(`   Input: ${JSON.stringify(step.input, null, 2)}`);
-  } else if (step.type === "output") {
-    console.log(`${prefix}✅ OUTPUT:`);
-    console.log(`\n${step.output}`);
-    if (step.summary) {
-      console.log(`\n📌 Summary: ${step.summary}`);
-    }
-  } else if (step.type === "observation") {
-    console.log(`${prefix}👁️  OBSERVATION:`);
-    console.log(`   ${step.observation.substring(0, 200)}${step.observation.length > 200 ? "..." : ""}`);
+// File snapshots taken before agent edits, so a turn can be rolled back with /undo
+const checkpoints = new CheckpointStore({
+  root: (await getConfig("workspace.root")) || process.cwd(),
+  max: await getConfig("checkpoints.max"),
+});
+
+// Every conversation is saved so it can be continued with `cursor-ai resume <id>`
+let session = sessions.create({ provider: provider.name, model: provider.model });
+session.usage = usage.session;
+
+const runner = await createAgentRunner({
+  settings,
+  provider,
+  usage,
+  system: prompt,
+  hooks: terminalHooks("Task"),
+  messages: session.messages,
+  checkpoints,
+  // Overwrites of existing files are shown as a diff to accept, reject or edit
+  review: process.stdin.isTTY ? createReviewPrompt(input) : null,
+  // Writes and commands need approval; set CURSOR_APPROVAL or permissions.policy to change this
+  permissions: new PermissionManager({
+    policy: await resolvePolicy(),
+    ask: process.stdin.isTTY ? createApprovalPrompt(input) : null,
+  }),
+  onMessage: (message, messages) => {
+    sessions.save(session, messages).catch((error) => {
+      console.error(`⚠️  Failed to save session: ${error.message}`);
+    });
+  },
+});
+
+// Ctrl+C cancels the running request; pressed again, or while idle, it exits
+let activeRun = null;
+function interrupt() {
+  if (activeRun && !activeRun.signal.aborted) {
+    console.log("\n⛔ Cancelling the current request... (press Ctrl+C again to exit)");
+    activeRun.abort(new Error("Cancelled by the user"));
+    return;
   }
-  console.log("=".repeat(60) + "\n");
+  console.log("\n👋 Goodbye! Happy coding!");
+  process.exit(130);
 }
+input.on("SIGINT", interrupt);
+process.on("SIGINT", interrupt);
 
 function askQuestion() {
-  input.question("\n💬 Ask me anything (type 'exit' to quit): ", async (message) => {
+  input.question("\n💬 Ask me anything (type 'exit' to quit, '/clear' to start over): ", async (message) => {
     if (message.toLowerCase() === "exit") {
       console.log("👋 Goodbye! Happy coding!");
       input.close();
       return;
     }
 
-    const messages = [];
-    const userMessage = {
-      type: "user",
-      prompt: message,
-    };
-    
-    messages.push(JSON.stringify(userMessage));
-    console.log("\n🚀 Processing your request...\n");
-
-    let stepCount = 0;
-    const maxSteps = 50; // Prevent infinite loops
+    if (message.trim() === "/clear") {
+      runner.reset();
+      usage.reset();
+      session = sessions.create({ provider: provider.name, model: provider.model });
+      session.usage = usage.session;
+      console.log("🧹 Conversation history cleared. Starting a new session.");
+      askQuestion();
+      return;
+    }
 
-    while (stepCount < maxSteps) {
+    if (/^\/undo(\s|$)/.test(message.trim())) {
       try {
-        stepCount++;
-        
-        // Generate next step
-        const result = await model.generateContent(messages.join("\n"));
-        const response = result.response.text();
-        
-        let step;
-        try {
-          step = JSON.parse(response);
-        } catch (parseError) {
-          console.error("❌ Error parsing AI response:", response);
-          break;
-        }
-
-        logStep(step, `[Step ${stepCount}] `);
-        messages.push(response);
-
-        // Handle actions
-        if (step.type === "action") {
-          try {
-            if (!tools[step.function]) {
-              throw new Error(`Tool '${step.function}' not found`);
-            }
-
-            const result = await tools[step.function].fn(step.input);
-            const observation = {
-              type: "observation",
-              observation: `Success: ${result}`,
-            };
-            
-            logStep(observation);
-            messages.push(JSON.stringify(observation));
-            continue;
-          } catch (error) {
-            const observation = {
-              type: "observation",
-              observation: `Error: ${error.message}\nStack: ${error.stack}`,
-            };
-            
-            console.error("❌ Action failed:", error.message);
-            logStep(observation);
-            messages.push(JSON.stringify(observation));
-            continue;
-          }
-        }
-
-        // Handle output (completion)
-        if (step.type === "output") {
-          console.log("\n✨ Task completed successfully!\n");
-          break;
+        const count = parseInt(message.trim().split(/\s+/)[1] || "1");
+        for (const { checkpoint, restored, deleted } of await checkpoints.undo(count)) {
+          console.log(`\n⏪ Rolled back checkpoint #${checkpoint.id}: ${checkpoint.prompt}`);
+          restored.forEach((file) => console.log(`   ♻️  restored ${path.relative(process.cwd(), file)}`));
+          deleted.forEach((file) => console.log(`   🗑️  deleted ${path.relative(process.cwd(), file)}`));
         }
+      } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+      }
+      askQuestion();
+      return;
+    }
 
-        // Continue for plan states
-        if (step.type === "plan") {
-          continue;
+    // /plan <request>: plan first and run only what the user approves
+    if (/^\/plan\s+\S/.test(message.trim())) {
+      console.log("\n📝 Planning your request (nothing is changed until you approve the plan)...\n");
+      // Ctrl+C during the plan review rejects the pending question; report it and keep the prompt
+      try {
+        activeRun = new AbortController();
+        const result = await runWithPlan(runner, message.trim().slice("/plan".length).trim(), {
+          signal: activeRun.signal,
+          review: createPlanReview(input),
+          onPlanUpdate: reportPlanProgress,
+        });
+        if (result.status === "rejected") {
+          console.log("🚫 Plan rejected; nothing was changed.");
+        } else if (result.plan) {
+          console.log(`\n${formatPlan(result.plan)}`);
         }
-
       } catch (error) {
-        console.error("\n❌ Unexpected error:", error.message);
-        console.error("Stack:", error.stack);
-        break;
+        console.error(`❌ AI Error: ${error.message}`);
+      } finally {
+        activeRun = null;
       }
+      askQuestion();
+      return;
     }
 
-    if (stepCount >= maxSteps) {
-      console.log("\n⚠️  Maximum steps reached. Task may be incomplete.");
+    console.log("\n🚀 Processing your request...\n");
+    try {
+      activeRun = new AbortController();
+      await runner.run(message, { signal: activeRun.signal });
+    } catch (error) {
+      console.error(`❌ AI Error: ${error.message}`);
+    } finally {
+      activeRun = null;
     }
 
     // Ask for next input
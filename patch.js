@@ -0,0 +1,328 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Parsing and applying unified diffs (git or plain diff -u style), used by the applyPatch tool
+// and the `cursor-ai apply` command
+
+// Split a unified diff into per-file changes:
+// { oldPath, newPath, isNew, isDelete, hunks: [{ oldStart, oldCount, newStart, newCount, lines }] }
+// where oldPath/newPath are null for /dev/null and each hunk line is { type: " " | "-" | "+", text, noNewline }
+export function parsePatch(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const files = [];
+  let file = null;
+  const startFile = () => {
+    file = { oldPath: undefined, newPath: undefined, isNew: false, isDelete: false, hunks: [], git: false };
+    files.push(file);
+  };
+
+  for (let i = 0; i < lines.length; ) {
+    const line = lines[i];
+
+    if (line.startsWith("diff --git ")) {
+      startFile();
+      file.git = true;
+      const match = line.match(/^diff --git (\S+) (\S+)$/);
+      if (match) {
+        file.oldPath = match[1];
+        file.newPath = match[2];
+      }
+      i++;
+      continue;
+    }
+
+    // Extended git headers before the first hunk
+    if (file?.git && file.hunks.length === 0) {
+      if (line.startsWith("new file mode")) file.isNew = true;
+      if (line.startsWith("deleted file mode")) file.isDelete = true;
+      if (line.startsWith("rename from ")) file.oldPath = `a/${line.slice(12)}`;
+      if (line.startsWith("rename to ")) file.newPath = `b/${line.slice(10)}`;
+    }
+
+    if (line.startsWith("--- ") && lines[i + 1]?.startsWith("+++ ")) {
+      if (!file || file.hunks.length > 0 || file.sawHeaders) {
+        startFile();
+      }
+      file.oldPath = headerPath(line.slice(4));
+      file.newPath = headerPath(lines[i + 1].slice(4));
+      file.sawHeaders = true;
+      i += 2;
+      continue;
+    }
+
+    if (line.startsWith("@@")) {
+      if (!file) {
+        throw new Error(`Hunk without file headers at line ${i + 1}`);
+      }
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (!match) {
+        throw new Error(`Malformed hunk header at line ${i + 1}: ${line}`);
+      }
+
+      const hunk = {
+        oldStart: Number(match[1]),
+        oldCount: match[2] === undefined ? 1 : Number(match[2]),
+        newStart: Number(match[3]),
+        newCount: match[4] === undefined ? 1 : Number(match[4]),
+        lines: [],
+      };
+      let oldSeen = 0;
+      let newSeen = 0;
+      i++;
+
+      while (oldSeen < hunk.oldCount || newSeen < hunk.newCount) {
+        const body = lines[i];
+        if (body === undefined) {
+          throw new Error(`Patch ends in the middle of a hunk for ${file.newPath || file.oldPath}`);
+        }
+        if (body.startsWith("\\")) {
+          if (hunk.lines.length > 0) hunk.lines[hunk.lines.length - 1].noNewline = true;
+          i++;
+          continue;
+        }
+        // Some tools strip the space from empty context lines
+        const type = body === "" ? " " : body[0];
+        if (type !== " " && type !== "-" && type !== "+") {
+          throw new Error(`Unexpected line in hunk at line ${i + 1}: ${body}`);
+        }
+        hunk.lines.push({ type, text: body.slice(1) });
+        if (type !== "+") oldSeen++;
+        if (type !== "-") newSeen++;
+        i++;
+      }
+      if (lines[i]?.startsWith("\\")) {
+        hunk.lines[hunk.lines.length - 1].noNewline = true;
+        i++;
+      }
+
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    i++;
+  }
+
+  return files
+    .filter((entry) => entry.hunks.length > 0 || entry.isDelete || entry.isNew || entry.oldPath !== entry.newPath)
+    .map((entry) => normalizeFile(entry));
+}
+
+// All paths a patch reads or writes, for workspace and checkpoint checks
+export function patchPaths(text) {
+  try {
+    return parsePatch(text).flatMap((file) => [file.oldPath, file.newPath]).filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Apply a patch to the files below cwd. Every change is computed before anything is written,
+// and files already written are restored if a later write fails, so the patch applies entirely or not at all.
+// Returns a summary of each file change and notes about hunks applied at an offset or with fuzz.
+export async function applyPatch(text, { cwd = process.cwd(), dryRun = false, fuzz = 2 } = {}) {
+  const files = parsePatch(text);
+  if (files.length === 0) {
+    throw new Error("No file changes found in the patch");
+  }
+
+  // Content per absolute path after the patch (null = deleted), so several sections may touch one file
+  const pending = new Map();
+  const read = async (relative) => {
+    const absolute = path.resolve(cwd, relative);
+    if (pending.has(absolute)) return pending.get(absolute);
+    return fs.readFile(absolute, "utf-8").catch((error) => {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    });
+  };
+
+  const changes = [];
+  for (const file of files) {
+    // Only git patches rename; plain diffs such as `diff -u app.js.orig app.js` name one file twice
+    if (!file.git && !file.isNew && !file.isDelete && file.oldPath !== file.newPath) {
+      const existing = [];
+      for (const name of [file.oldPath, file.newPath]) {
+        if ((await read(name)) !== null) existing.push(name);
+      }
+      file.oldPath = file.newPath = pickTarget(existing.length > 0 ? existing : [file.newPath]);
+    }
+
+    const label = file.newPath || file.oldPath;
+    const source = file.isNew ? null : await read(file.oldPath);
+
+    if (!file.isNew && source === null) {
+      throw new Error(`${file.oldPath}: file does not exist`);
+    }
+    if (file.isNew && (await read(file.newPath)) !== null) {
+      throw new Error(`${file.newPath}: file already exists`);
+    }
+
+    const { content, notes } = applyHunks(source ?? "", file.hunks, label, fuzz);
+
+    if (file.isDelete) {
+      if (content.trim() !== "") {
+        throw new Error(`${file.oldPath}: file content does not match the deletion in the patch`);
+      }
+      pending.set(path.resolve(cwd, file.oldPath), null);
+      changes.push({ action: "D", path: file.oldPath, notes });
+    } else if (file.isNew) {
+      pending.set(path.resolve(cwd, file.newPath), content);
+      changes.push({ action: "A", path: file.newPath, notes });
+    } else if (file.oldPath !== file.newPath) {
+      if ((await read(file.newPath)) !== null) {
+        throw new Error(`${file.newPath}: rename target already exists`);
+      }
+      pending.set(path.resolve(cwd, file.oldPath), null);
+      pending.set(path.resolve(cwd, file.newPath), content);
+      changes.push({ action: "R", path: `${file.oldPath} → ${file.newPath}`, notes });
+    } else {
+      pending.set(path.resolve(cwd, file.newPath), content);
+      changes.push({ action: "M", path: file.newPath, notes });
+    }
+  }
+
+  if (!dryRun) {
+    await writeAll(pending);
+  }
+  return changes;
+}
+
+// Summary lines like "M src/app.js (hunk #2 applied at offset 3)"
+export function formatPatchSummary(changes, { dryRun = false } = {}) {
+  return [
+    dryRun
+      ? `Patch applies cleanly to ${changes.length} file${changes.length === 1 ? "" : "s"} (dry run, nothing written):`
+      : `Patch applied to ${changes.length} file${changes.length === 1 ? "" : "s"}:`,
+    ...changes.map(({ action, path: filePath, notes }) => `  ${action} ${filePath}${notes.length > 0 ? ` (${notes.join("; ")})` : ""}`),
+  ].join("\n");
+}
+
+async function writeAll(pending) {
+  const originals = new Map();
+  try {
+    for (const [absolute, content] of pending) {
+      originals.set(absolute, await fs.readFile(absolute).catch(() => null));
+      if (content === null) {
+        await fs.rm(absolute, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(absolute), { recursive: true });
+        await fs.writeFile(absolute, content, "utf-8");
+      }
+    }
+  } catch (error) {
+    for (const [absolute, original] of originals) {
+      if (original === null) {
+        await fs.rm(absolute, { force: true }).catch(() => {});
+      } else {
+        await fs.writeFile(absolute, original).catch(() => {});
+      }
+    }
+    throw new Error(`Failed to write the patched files, all changes were reverted: ${error.message}`);
+  }
+}
+
+// Apply hunks in order like patch(1): look for each hunk near its expected line, then
+// further away (offset), then with up to `fuzz` context lines ignored at either end
+function applyHunks(source, hunks, label, fuzz) {
+  const eol = source.includes("\r\n") ? "\r\n" : "\n";
+  const normalized = source.replace(/\r\n/g, "\n");
+  let lines = normalized === "" ? [] : normalized.split("\n");
+  let endsWithNewline = normalized === "" || normalized.endsWith("\n");
+  if (endsWithNewline && lines[lines.length - 1] === "") lines.pop();
+
+  const notes = [];
+  let offset = 0;
+  let delta = 0;
+  let minimum = 0;
+
+  hunks.forEach((hunk, index) => {
+    const expected = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta + offset;
+    const leading = hunk.lines.findIndex((line) => line.type !== " ");
+    const trailing = [...hunk.lines].reverse().findIndex((line) => line.type !== " ");
+
+    for (let level = 0; level <= fuzz; level++) {
+      const trimStart = Math.min(level, leading);
+      const trimEnd = Math.min(level, trailing);
+      if (level > 0 && trimStart === 0 && trimEnd === 0) break;
+
+      const body = hunk.lines.slice(trimStart, hunk.lines.length - trimEnd);
+      const before = body.filter((line) => line.type !== "+").map((line) => line.text);
+      const after = body.filter((line) => line.type !== "-").map((line) => line.text);
+      const position = findBlock(lines, before, expected + trimStart, minimum);
+      if (position === -1) continue;
+
+      lines = [...lines.slice(0, position), ...after, ...lines.slice(position + before.length)];
+      const moved = position - (expected + trimStart);
+      if (moved !== 0) notes.push(`hunk #${index + 1} applied at offset ${moved}`);
+      if (level > 0) notes.push(`hunk #${index + 1} applied with fuzz ${level}`);
+
+      offset += moved;
+      delta += after.length - before.length;
+      minimum = position + after.length;
+
+      // Track "\ No newline at end of file" markers on the last line
+      const lastNew = [...hunk.lines].reverse().find((line) => line.type !== "-");
+      const lastOld = [...hunk.lines].reverse().find((line) => line.type !== "+");
+      if (lastNew?.noNewline) endsWithNewline = false;
+      else if (lastOld?.noNewline && position + after.length === lines.length) endsWithNewline = true;
+      return;
+    }
+
+    const context = hunk.lines.filter((line) => line.type !== "+").slice(0, 3).map((line) => `    ${line.text}`);
+    throw new Error(
+      `${label}: hunk #${index + 1} (@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@) does not apply` +
+      (context.length > 0 ? `. Expected to find:\n${context.join("\n")}` : "")
+    );
+  });
+
+  const content = lines.join("\n") + (lines.length > 0 && endsWithNewline ? "\n" : "");
+  return { content: content.replace(/\n/g, eol), notes };
+}
+
+// Position of block in lines nearest to expected and not before minimum, or -1
+function findBlock(lines, block, expected, minimum) {
+  const last = lines.length - block.length;
+  const start = Math.max(minimum, Math.min(expected, last));
+  if (block.length === 0) {
+    return Math.max(minimum, Math.min(expected, lines.length));
+  }
+
+  const matches = (position) => block.every((text, offset) => lines[position + offset] === text);
+  for (let distance = 0; start - distance >= minimum || start + distance <= last; distance++) {
+    if (start + distance <= last && matches(start + distance)) return start + distance;
+    if (distance > 0 && start - distance >= minimum && matches(start - distance)) return start - distance;
+  }
+  return -1;
+}
+
+// Like patch(1): fewest path components, then shortest base name, then shortest path
+function pickTarget(names) {
+  const key = (name) => [name.split("/").length, path.basename(name).length, name.length];
+  return [...names].sort((a, b) => {
+    const [x, y] = [key(a), key(b)];
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+  })[0];
+}
+
+// Path from a ---/+++ header, without a trailing timestamp; null for /dev/null
+function headerPath(header) {
+  const name = header.split("\t")[0].trim();
+  return name === "/dev/null" ? null : name;
+}
+
+// Strip the a/ and b/ prefixes git adds and classify creations and deletions
+function normalizeFile(file) {
+  const prefixed = (file.oldPath ?? "a/").startsWith("a/") && (file.newPath ?? "b/").startsWith("b/");
+  const strip = (name) => (name && prefixed ? name.slice(2) : name);
+  const oldPath = file.oldPath === null || file.isNew ? null : strip(file.oldPath);
+  const newPath = file.newPath === null || file.isDelete ? null : strip(file.newPath);
+
+  return {
+    oldPath: oldPath ?? null,
+    newPath: newPath ?? null,
+    isNew: oldPath === null || oldPath === undefined,
+    isDelete: newPath === null || newPath === undefined,
+    git: file.git,
+    hunks: file.hunks,
+  };
+}
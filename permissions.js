@@ -0,0 +1,172 @@
+import { getConfig, setConfig } from "./config.js";
+import { patchPaths } from "./patch.js";
+
+// Approval policies, from most to least restrictive
+export const POLICIES = {
+  "read-only": "Only read-only tools run; writes and commands are denied unless allowlisted",
+  ask: "Ask before every write or command that is not allowlisted (default)",
+  "allow-writes": "File writes run without asking; commands still need approval",
+  "allow-all": "Everything runs without asking (deny rules still apply)",
+};
+
+// Classify a tool call as read, write or execute. Tools without a declared access are
+// treated as execute so that new tools are gated until classified.
+export function accessOf(tool, input = {}) {
+  const access = typeof tool?.access === "function" ? tool.access(input) : tool?.access;
+  return access || "execute";
+}
+
+// What a rule pattern is matched against: the command line or the path a tool touches
+// (for a patch, the files it changes separated by spaces)
+export function subjectOf(input = {}) {
+  if (typeof input.patch === "string") {
+    return [...new Set(patchPaths(input.patch))].join(" ");
+  }
+  return String(
+    input.command ?? input.path ?? input.filePath ?? input.outputFile ?? input.directory ?? input.outputDir ?? input.name ?? ""
+  );
+}
+
+// Decides whether the agent may run a tool call, based on the approval policy and the
+// allow/deny rules stored in config (permissions.allow / permissions.deny)
+export class PermissionManager {
+  constructor({ policy = "ask", ask = null } = {}) {
+    if (!POLICIES[policy]) {
+      throw new Error(`Unknown approval policy '${policy}'. Use one of: ${Object.keys(POLICIES).join(", ")}`);
+    }
+    this.policy = policy;
+    this.ask = ask;
+  }
+
+  // Returns { allowed: true } or { allowed: false, reason }. Aborting the signal cancels a pending question.
+  async check(name, input, tool, { signal } = {}) {
+    const access = accessOf(tool, input);
+    if (access === "read") {
+      return { allowed: true };
+    }
+
+    const subject = subjectOf(input);
+    const { allow = [], deny = [] } = (await getConfig("permissions")) || {};
+
+    const denied = deny.find((rule) => matchesRule(rule, name, subject));
+    if (denied) {
+      return { allowed: false, reason: `${name} matches the deny rule ${formatRule(denied)}` };
+    }
+    if (allow.some((rule) => matchesRule(rule, name, subject, { allowing: true }))) {
+      return { allowed: true };
+    }
+
+    if (this.policy === "allow-all" || (this.policy === "allow-writes" && access === "write")) {
+      return { allowed: true };
+    }
+
+    if (this.policy === "ask" && this.ask) {
+      const { decision, pattern } = await this.ask({ name, access, subject, input, suggestion: suggestPattern(name, subject), signal });
+      if (decision === "always") {
+        await setConfig("permissions.allow", [...allow, { tool: name, pattern }]);
+        return { allowed: true };
+      }
+      if (decision === "once") {
+        return { allowed: true };
+      }
+      return { allowed: false, reason: "The user denied this action" };
+    }
+
+    const policy = this.policy === "ask" ? "ask (no terminal to ask on)" : this.policy;
+    return {
+      allowed: false,
+      reason: `${access} access is not allowed by the '${policy}' approval policy. ` +
+        "Set --approval (or CURSOR_APPROVAL) to allow-writes or allow-all, or add a rule to permissions.allow",
+    };
+  }
+}
+
+// Ask for approval on a readline interface: allow once, always allow a pattern, or deny.
+// "always" is not offered when no rule could allow the call (suggestion is null).
+export function createApprovalPrompt(readline) {
+  return async ({ name, access, subject, suggestion, signal }) => {
+    const question = (text) => ask(readline, text, signal);
+    console.log(`\n🔐 Approval needed: ${name} wants ${access} access`);
+    if (subject) {
+      console.log(`   ${subject.length > 200 ? `${subject.slice(0, 200)}...` : subject}`);
+    }
+    if (suggestion === null) {
+      console.log("   (Commands that chain, pipe, redirect or substitute always need approval)");
+    }
+
+    while (true) {
+      const choices = suggestion === null ? "[y] once / [n] deny" : "[y] once / [a] always / [n] deny";
+      const answer = (await question(`   Allow? ${choices}: `)).trim().toLowerCase();
+      if (answer === "y" || answer === "yes") {
+        return { decision: "once" };
+      }
+      if (answer === "n" || answer === "no" || answer === "") {
+        return { decision: "deny" };
+      }
+      if ((answer === "a" || answer === "always") && suggestion !== null) {
+        const pattern = (await question(`   Always allow ${name} matching [${suggestion}]: `)).trim() || suggestion;
+        console.log(`   ✅ Saved rule ${formatRule({ tool: name, pattern })} to permissions.allow`);
+        return { decision: "always", pattern };
+      }
+    }
+  };
+}
+
+// Ask on a readline interface; rejects when the signal aborts while waiting for the answer
+export function ask(readline, text, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    signal?.addEventListener("abort", () => reject(signal.reason), { once: true });
+    readline.question(text, { signal }, resolve);
+  });
+}
+
+// Resolve the policy from the --approval flag, CURSOR_APPROVAL or config, in that order
+export async function resolvePolicy(flag) {
+  return flag || process.env.CURSOR_APPROVAL || (await getConfig("permissions.policy")) || "ask";
+}
+
+// Shell syntax that runs more than the command it follows or writes elsewhere: ; & | newlines,
+// backticks, $( ) and <( ) substitution, and redirection
+const SHELL_CONTROL = /[;&|`\n<>]|\$\(/;
+
+// Whether a command line runs anything beyond a single command
+export function isCompoundCommand(command) {
+  return SHELL_CONTROL.test(command);
+}
+
+// Rules are { tool, pattern } where pattern is a glob (* and ?) over the subject. When allowing,
+// compound command lines never match, so "npm test*" cannot approve "npm test; rm -rf ~".
+export function matchesRule(rule, name, subject, { allowing = false } = {}) {
+  if (rule.tool !== "*" && rule.tool !== name) {
+    return false;
+  }
+  if (allowing && name === "executeCommand" && isCompoundCommand(subject)) {
+    return false;
+  }
+  return globToRegExp(rule.pattern ?? "*").test(subject);
+}
+
+function formatRule(rule) {
+  return `${rule.tool}(${rule.pattern ?? "*"})`;
+}
+
+// Default for "always allow": the exact command or path. null for compound commands, which
+// no rule can allow.
+export function suggestPattern(name, subject) {
+  if (name === "executeCommand") {
+    return isCompoundCommand(subject) ? null : subject.trim();
+  }
+  return subject || "*";
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, "s");
+}
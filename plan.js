@@ -0,0 +1,232 @@
+import { ask } from "./permissions.js";
+import { editInEditor } from "./diff.js";
+
+// Plan-then-execute mode. The agent first investigates with read-only tools and submits a
+// numbered plan of the files it will touch and the commands it will run. The user approves,
+// edits, trims or rejects the plan before anything changes, and the agent then reports its
+// progress against the approved steps while carrying it out.
+
+const STATUS_MARKS = { pending: "[ ]", in_progress: "[>]", done: "[x]", skipped: "[-]" };
+
+// Plan a request, have it reviewed, then execute it on the same runner (and transcript).
+// review(plan, { signal }) returns { decision: "approve", plan } or { decision: "reject" };
+// onPlanUpdate(plan, step) is called whenever the agent reports progress on a step.
+// Returns the result of the execution run with the plan attached, the planning run's result
+// when no plan was submitted (cancelled, failed or answered directly), or status "rejected".
+export async function runWithPlan(runner, prompt, { signal, review, onPlanUpdate } = {}) {
+  const draft = {};
+  const planning = await runner.run(planningPrompt(prompt), {
+    signal,
+    tools: { ...readOnlyTools(runner.tools), submitPlan: submitPlanTool(draft) },
+    stopAfter: "submitPlan",
+  });
+  if (planning.status !== "stopped" || !draft.plan) {
+    return planning;
+  }
+
+  const { decision, plan } = review
+    ? await review(draft.plan, { signal })
+    : { decision: "reject" };
+  if (decision !== "approve") {
+    return { status: "rejected", plan: draft.plan };
+  }
+
+  const result = await runner.run(executionPrompt(prompt, plan), {
+    signal,
+    tools: { ...runner.tools, updatePlan: updatePlanTool(plan, onPlanUpdate) },
+  });
+  return { ...result, plan };
+}
+
+// Numbered plan with step statuses, for the terminal
+export function formatPlan(plan) {
+  const lines = [`📋 Plan: ${plan.summary}`];
+  plan.steps.forEach((step, index) => {
+    lines.push(`  ${String(index + 1).padStart(2)}. ${STATUS_MARKS[step.status] || STATUS_MARKS.pending} ${step.description}`);
+    if (step.files.length > 0) lines.push(`        files: ${step.files.join(", ")}`);
+    step.commands.forEach((command) => lines.push(`        run: ${command}`));
+    if (step.note) lines.push(`        note: ${step.note}`);
+  });
+  return lines.join("\n");
+}
+
+// Review a plan on a readline interface: approve, edit in $EDITOR, drop steps or reject
+export function createPlanReview(readline) {
+  return async (draft, { signal } = {}) => {
+    let plan = draft;
+
+    while (true) {
+      console.log(`\n${formatPlan(plan)}`);
+      const answer = (await ask(
+        readline,
+        "\n   Run this plan? [a] approve / [e] edit / [d <n>] drop step n / [r] reject: ",
+        signal
+      )).trim().toLowerCase();
+
+      if (answer === "a" || answer === "approve" || answer === "y") {
+        if (plan.steps.length === 0) {
+          console.log("   The plan has no steps left; edit it or reject it.");
+          continue;
+        }
+        return { decision: "approve", plan };
+      }
+      if (answer === "r" || answer === "reject" || answer === "n") {
+        return { decision: "reject" };
+      }
+
+      const drop = answer.match(/^d(?:rop)?\s+(\d+)$/);
+      if (drop) {
+        const index = Number(drop[1]) - 1;
+        if (index < 0 || index >= plan.steps.length) {
+          console.log(`   There is no step ${drop[1]}.`);
+        } else {
+          plan = { ...plan, steps: plan.steps.filter((_, position) => position !== index) };
+        }
+        continue;
+      }
+
+      if (answer === "e" || answer === "edit") {
+        readline.pause();
+        try {
+          plan = parsePlanText(editInEditor(planText(plan), "plan.txt"));
+        } catch (error) {
+          console.error(`❌ ${error.message}`);
+        } finally {
+          readline.resume();
+        }
+      }
+    }
+  };
+}
+
+// Editable text form of a plan. Steps can be reworded, reordered or deleted; numbers are redone.
+export function planText(plan) {
+  const lines = [
+    "# Edit, reorder or delete steps, then save and close the editor.",
+    "# A step starts with a number; 'files:' and 'run:' lines below it belong to it.",
+    `Summary: ${plan.summary}`,
+    "",
+  ];
+  plan.steps.forEach((step, index) => {
+    lines.push(`${index + 1}. ${step.description}`);
+    if (step.files.length > 0) lines.push(`   files: ${step.files.join(", ")}`);
+    step.commands.forEach((command) => lines.push(`   run: ${command}`));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+export function parsePlanText(text) {
+  const plan = { summary: "", steps: [] };
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === "" || trimmed.startsWith("#")) continue;
+
+    const summary = trimmed.match(/^summary:\s*(.*)$/i);
+    const step = trimmed.match(/^\d+[.)]\s*(.+)$/);
+    const files = trimmed.match(/^files?:\s*(.*)$/i);
+    const command = trimmed.match(/^(?:run|command):\s*(.+)$/i);
+
+    if (summary && !current) {
+      plan.summary = summary[1];
+    } else if (step) {
+      current = { description: step[1], files: [], commands: [], status: "pending" };
+      plan.steps.push(current);
+    } else if (current && files) {
+      current.files.push(...files[1].split(",").map((file) => file.trim()).filter(Boolean));
+    } else if (current && command) {
+      current.commands.push(command[1]);
+    } else if (current) {
+      current.description += ` ${trimmed}`;
+    } else {
+      plan.summary = plan.summary ? `${plan.summary} ${trimmed}` : trimmed;
+    }
+  }
+  return plan;
+}
+
+function planningPrompt(prompt) {
+  return `${prompt}
+
+[Plan mode] Do not change anything yet. Use the read-only tools if you need to look at the code, then call submitPlan with a numbered list of steps: what each step does, the files it creates or changes and the commands it runs. The user reviews the plan before anything is executed.`;
+}
+
+function executionPrompt(prompt, plan) {
+  return `The user approved this plan for the request "${prompt}":
+
+${planText(plan).split("\n").filter((line) => !line.startsWith("#")).join("\n")}
+Carry it out in order and do not make changes the plan does not cover. Call updatePlan with status "in_progress" when you start a step and "done" when it is finished. If a step turns out to be wrong or impossible, mark it "skipped" with a note explaining why and continue. When every step is done or skipped, reply with a short summary.`;
+}
+
+// Only tools that can never write or run anything are available while planning
+function readOnlyTools(tools) {
+  return Object.fromEntries(Object.entries(tools).filter(([, tool]) => tool.access === "read"));
+}
+
+function submitPlanTool(draft) {
+  return {
+    description: "Submit the plan for the user to review before anything is executed",
+    returns: { type: "string", description: "Confirmation that the plan was submitted for review" },
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        summary: { type: "string", description: "One or two sentences on the overall approach" },
+        steps: {
+          type: "array",
+          description: "Steps in the order they will be carried out",
+          items: {
+            type: "object",
+            properties: {
+              description: { type: "string", description: "What the step does" },
+              files: { type: "array", items: { type: "string" }, description: "Files the step creates, changes or deletes" },
+              commands: { type: "array", items: { type: "string" }, description: "Shell commands the step runs" },
+            },
+            required: ["description"],
+          },
+        },
+      },
+      required: ["summary", "steps"],
+    },
+    fn: async ({ summary, steps }) => {
+      if (steps.length === 0) {
+        throw new Error("The plan has no steps");
+      }
+      draft.plan = {
+        summary,
+        steps: steps.map(({ description, files = [], commands = [] }) => ({ description, files, commands, status: "pending" })),
+      };
+      return `Plan with ${steps.length} step${steps.length === 1 ? "" : "s"} submitted; waiting for the user's review`;
+    },
+  };
+}
+
+function updatePlanTool(plan, onPlanUpdate) {
+  return {
+    description: "Report progress on a step of the approved plan",
+    returns: { type: "string", description: "The step's new status and how many steps are left" },
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        step: { type: "number", description: "Step number in the approved plan, starting at 1" },
+        status: { type: "string", enum: ["in_progress", "done", "skipped"], description: "New status of the step" },
+        note: { type: "string", description: "Why a step was skipped, or anything the user should know" },
+      },
+      required: ["step", "status"],
+    },
+    fn: async ({ step, status, note }) => {
+      const entry = plan.steps[step - 1];
+      if (!entry) {
+        throw new Error(`The plan has no step ${step}; it has steps 1 to ${plan.steps.length}`);
+      }
+      entry.status = status;
+      if (note) entry.note = note;
+      onPlanUpdate?.(plan, step);
+
+      const left = plan.steps.filter(({ status: current }) => current === "pending" || current === "in_progress").length;
+      return `Step ${step} is ${status.replace("_", " ")}; ${left} step${left === 1 ? "" : "s"} left`;
+    },
+  };
+}
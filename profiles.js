@@ -0,0 +1,68 @@
+// Named agent profiles from config.ai.profiles. A profile may set provider, model,
+// temperature, maxSteps, tools (the tool names the agent may use) and instructions
+// appended to the system prompt; anything it leaves out comes from the ai settings.
+
+// Resolve the agent settings for a profile, or for ai.profile when no name is given.
+// Returns { name, ai, maxSteps, tools, instructions } where ai is ready for createProvider.
+export function resolveProfile(ai, name = ai.profile) {
+  if (!name) {
+    return { name: null, ai, maxSteps: Number(ai.maxSteps) || 50, tools: null, instructions: "" };
+  }
+
+  const profile = ai.profiles?.[name];
+  if (!profile) {
+    const available = Object.keys(ai.profiles || {});
+    throw new Error(`Unknown profile '${name}'. Available profiles: ${available.join(", ") || "none"}`);
+  }
+
+  // A profile's model replaces the model of the provider it runs on
+  const provider = profile.provider || ai.provider || "gemini";
+  return {
+    name,
+    ai: {
+      ...ai,
+      provider,
+      temperature: profile.temperature ?? ai.temperature,
+      ...(profile.model && {
+        providers: { ...ai.providers, [provider]: { ...ai.providers?.[provider], model: profile.model } },
+      }),
+    },
+    maxSteps: Number(profile.maxSteps ?? ai.maxSteps) || 50,
+    tools: profile.tools || null,
+    instructions: profile.instructions || "",
+  };
+}
+
+// Tools that are not in the registry but are added to the selected toolset afterwards
+// (see withDelegate), so a profile may still list them
+const ADDED_TOOLS = ["delegate"];
+
+// The tools of a registry a profile allows, in the profile's order
+export function selectTools(registry, names) {
+  if (!names) {
+    return registry;
+  }
+
+  const unknown = names.filter((name) => !registry[name] && !ADDED_TOOLS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Profile lists unknown tools: ${unknown.join(", ")}`);
+  }
+  return Object.fromEntries(names.filter((name) => registry[name]).map((name) => [name, registry[name]]));
+}
+
+// System prompt with the profile's instructions appended
+export function withInstructions(system, { name, instructions }) {
+  return instructions ? `${system}\nPROFILE INSTRUCTIONS (${name}):\n${instructions}\n` : system;
+}
+
+// One line per profile for listings, e.g. "fast: temperature 0.2, 15 steps"
+export function describeProfile(name, profile) {
+  const details = [
+    profile.provider && `provider ${profile.provider}`,
+    profile.model && `model ${profile.model}`,
+    profile.temperature !== undefined && `temperature ${profile.temperature}`,
+    profile.maxSteps && `${profile.maxSteps} steps`,
+    profile.tools && `tools: ${profile.tools.join(", ")}`,
+  ].filter(Boolean);
+  return `${name}: ${details.join(", ") || "default settings"}`;
+}
@@ -0,0 +1,616 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import fs from "fs/promises";
+import { repairJson } from "./repair.js";
+
+// LLM provider layer.
+//
+// Every adapter implements the same interface over a provider-neutral transcript:
+//   generate({ system, messages, tools, signal }) -> { text, toolCalls, usage, finishReason }
+//   stream(request, onText, onChunk)              -> same as generate, calling onText per text chunk
+//                                                    and onChunk for every chunk received (text,
+//                                                    tool call fragments or metadata)
+//   countTokens({ system, messages })             -> number
+//
+// Messages are { role: "user", content }, { role: "assistant", content, toolCalls }
+// or { role: "tool", toolCallId, name, content }. Tools are { name, description, parameters }
+// with a JSON Schema `parameters` object.
+
+export class GeminiProvider {
+  constructor({ apiKey, model = "gemini-2.0-flash-exp", temperature } = {}) {
+    this.name = "gemini";
+    this.model = model;
+    this.temperature = temperature;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  getModel({ system, tools = [] }) {
+    return this.client.getGenerativeModel({
+      model: this.model,
+      systemInstruction: system,
+      ...(this.temperature !== undefined && { generationConfig: { temperature: this.temperature } }),
+      ...(tools.length > 0 && {
+        tools: [{ functionDeclarations: tools.map(toGeminiDeclaration) }],
+      }),
+    });
+  }
+
+  async generate(request) {
+    const { response } = await this.getModel(request).generateContent(
+      { contents: toGeminiContents(request.messages) },
+      { signal: request.signal }
+    );
+    return fromGeminiResponse(response, request.messages);
+  }
+
+  async stream(request, onText, onChunk) {
+    const result = await this.getModel(request).generateContentStream(
+      { contents: toGeminiContents(request.messages) },
+      { signal: request.signal }
+    );
+
+    for await (const chunk of result.stream) {
+      onChunk?.();
+      const text = (chunk.candidates?.[0]?.content?.parts || [])
+        .filter((part) => part.text)
+        .map((part) => part.text)
+        .join("");
+      if (text) onText(text);
+    }
+
+    return fromGeminiResponse(await result.response, request.messages);
+  }
+
+  async countTokens({ system, messages }) {
+    const { totalTokens } = await this.getModel({ system }).countTokens({
+      contents: toGeminiContents(messages),
+    });
+    return totalTokens;
+  }
+}
+
+// Any server implementing the OpenAI chat completions API (OpenAI, vLLM, LM Studio, llama.cpp, ...)
+export class OpenAIProvider {
+  constructor({ baseUrl = "https://api.openai.com/v1", apiKey, model, temperature } = {}) {
+    if (!model) {
+      throw new Error("OpenAI-compatible provider requires a model name (ai.providers.openai.model)");
+    }
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+  }
+
+  buildBody({ system, messages, tools = [] }) {
+    return {
+      model: this.model,
+      ...(this.temperature !== undefined && { temperature: this.temperature }),
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...messages.map(toOpenAIMessage),
+      ],
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({ type: "function", function: tool })),
+      }),
+    };
+  }
+
+  async post(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await requestError("OpenAI", response);
+    }
+    return response;
+  }
+
+  async generate(request) {
+    const response = await this.post(this.buildBody(request), request.signal);
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+
+    return {
+      text: choice.message?.content || "",
+      toolCalls: (choice.message?.tool_calls || []).map((call) =>
+        toToolCall(call.id, call.function.name, call.function.arguments)
+      ),
+      usage: fromOpenAIUsage(data.usage),
+      finishReason: choice.finish_reason,
+    };
+  }
+
+  async stream(request, onText, onChunk) {
+    const response = await this.post(
+      { ...this.buildBody(request), stream: true, stream_options: { include_usage: true } },
+      request.signal
+    );
+
+    let text = "";
+    let usage;
+    let finishReason;
+    const calls = [];
+
+    for await (const line of readLines(response.body)) {
+      onChunk?.();
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") break;
+
+      const data = JSON.parse(payload);
+      if (data.usage) usage = fromOpenAIUsage(data.usage);
+
+      const choice = data.choices?.[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      if (choice.delta?.content) {
+        text += choice.delta.content;
+        onText(choice.delta.content);
+      }
+
+      // Tool call names and arguments arrive in fragments keyed by index
+      for (const delta of choice.delta?.tool_calls || []) {
+        const call = (calls[delta.index] ||= { id: "", name: "", arguments: "" });
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.name += delta.function.name;
+        if (delta.function?.arguments) call.arguments += delta.function.arguments;
+      }
+    }
+
+    return {
+      text,
+      toolCalls: calls.filter(Boolean).map((call) => toToolCall(call.id, call.name, call.arguments)),
+      usage,
+      finishReason,
+    };
+  }
+
+  async countTokens({ system, messages }) {
+    return estimateTokens(system, messages);
+  }
+}
+
+// Local Ollama server (https://ollama.com)
+export class OllamaProvider {
+  constructor({ baseUrl = "http://localhost:11434", model, temperature } = {}) {
+    if (!model) {
+      throw new Error("Ollama provider requires a model name (ai.providers.ollama.model)");
+    }
+    this.name = "ollama";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.model = model;
+    this.temperature = temperature;
+  }
+
+  buildBody({ system, messages, tools = [] }, stream) {
+    return {
+      model: this.model,
+      stream,
+      ...(this.temperature !== undefined && { options: { temperature: this.temperature } }),
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...messages.map(toOllamaMessage),
+      ],
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({ type: "function", function: tool })),
+      }),
+    };
+  }
+
+  async post(body, signal) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await requestError("Ollama", response);
+    }
+    return response;
+  }
+
+  async generate(request) {
+    const response = await this.post(this.buildBody(request, false), request.signal);
+    return fromOllamaResponse(await response.json(), request.messages);
+  }
+
+  async stream(request, onText, onChunk) {
+    const response = await this.post(this.buildBody(request, true), request.signal);
+
+    let text = "";
+    const toolCalls = [];
+    let last = {};
+
+    for await (const line of readLines(response.body)) {
+      onChunk?.();
+      if (!line.trim()) continue;
+      last = JSON.parse(line);
+      if (last.message?.content) {
+        text += last.message.content;
+        onText(last.message.content);
+      }
+      toolCalls.push(...(last.message?.tool_calls || []));
+    }
+
+    return fromOllamaResponse({ ...last, message: { content: text, tool_calls: toolCalls } }, request.messages);
+  }
+
+  async countTokens({ system, messages }) {
+    return estimateTokens(system, messages);
+  }
+}
+
+// Wraps another provider and writes every request/response pair to a cassette file
+export class RecordingProvider {
+  constructor(inner, cassettePath) {
+    this.name = inner.name;
+    this.model = inner.model;
+    this.inner = inner;
+    this.cassettePath = cassettePath;
+    this.interactions = [];
+  }
+
+  async generate(request) {
+    const response = await this.inner.generate(request);
+    await this.record("generate", request, response);
+    return response;
+  }
+
+  async stream(request, onText, onChunk) {
+    const response = await this.inner.stream(request, onText, onChunk);
+    await this.record("generate", request, response);
+    return response;
+  }
+
+  async countTokens(request) {
+    const tokens = await this.inner.countTokens(request);
+    await this.record("countTokens", request, tokens);
+    return tokens;
+  }
+
+  // The cassette is rewritten after every call so a crashed session is still replayable
+  async record(kind, request, response) {
+    this.interactions.push({ kind, request: normalizeRequest(request), response });
+    const cassette = {
+      version: 1,
+      provider: this.name,
+      model: this.model,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions,
+    };
+    await fs.writeFile(this.cassettePath, JSON.stringify(cassette, null, 2), "utf-8");
+  }
+}
+
+// Serves the responses of a recorded cassette in order, without network access.
+// Any difference between the live request and the recorded one aborts the run.
+export class ReplayProvider {
+  constructor(cassettePath) {
+    this.name = "replay";
+    this.model = null;
+    this.cassettePath = cassettePath;
+    this.interactions = null;
+    this.position = 0;
+  }
+
+  async load() {
+    if (this.interactions) return;
+    try {
+      const cassette = JSON.parse(await fs.readFile(this.cassettePath, "utf-8"));
+      this.model = cassette.model;
+      this.interactions = cassette.interactions || [];
+    } catch (error) {
+      throw new Error(`Failed to load cassette ${this.cassettePath}: ${error.message}`);
+    }
+  }
+
+  async next(kind, request) {
+    await this.load();
+    const interaction = this.interactions[this.position];
+    const index = this.position + 1;
+
+    if (!interaction) {
+      throw new Error(
+        `Cassette ${this.cassettePath} exhausted: request ${index} was not recorded (${this.interactions.length} interactions available)`
+      );
+    }
+    if (interaction.kind !== kind) {
+      throw new Error(
+        `Cassette mismatch at interaction ${index}: expected a ${interaction.kind} call but got ${kind}`
+      );
+    }
+
+    const difference = findDifference(interaction.request, normalizeRequest(request));
+    if (difference) {
+      throw new Error(
+        `Cassette mismatch at interaction ${index}, ${difference.path}:\n` +
+        `  recorded: ${JSON.stringify(difference.expected)}\n` +
+        `  actual:   ${JSON.stringify(difference.actual)}`
+      );
+    }
+
+    this.position++;
+    return interaction.response;
+  }
+
+  async generate(request) {
+    return this.next("generate", request);
+  }
+
+  async stream(request, onText) {
+    const response = await this.next("generate", request);
+    if (response.text) onText(response.text);
+    return response;
+  }
+
+  async countTokens(request) {
+    return this.next("countTokens", request);
+  }
+}
+
+// Create the provider selected by config.ai.provider.
+// CURSOR_REPLAY=<file> serves a recorded cassette instead; CURSOR_RECORD=<file> records one.
+export function createProvider(ai = {}) {
+  if (process.env.CURSOR_REPLAY) {
+    return new ReplayProvider(process.env.CURSOR_REPLAY);
+  }
+
+  const provider = createBackend(ai);
+  if (process.env.CURSOR_RECORD) {
+    return new RecordingProvider(provider, process.env.CURSOR_RECORD);
+  }
+  return provider;
+}
+
+// The model is the provider's own ai.providers.<name>.model, else ai.model
+function createBackend(ai) {
+  const name = ai.provider || "gemini";
+  const settings = {
+    ...ai.providers?.[name],
+    model: ai.providers?.[name]?.model || ai.model || undefined,
+    // `config set` stores strings
+    temperature: ai.temperature === undefined || ai.temperature === null ? undefined : Number(ai.temperature),
+  };
+  const apiKey = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : settings.apiKey;
+
+  switch (name) {
+    case "gemini":
+      return new GeminiProvider({ ...settings, apiKey: apiKey || process.env.GOOGLE_API_KEY });
+    case "openai":
+      return new OpenAIProvider({ ...settings, apiKey });
+    case "ollama":
+      return new OllamaProvider(settings);
+    default:
+      throw new Error(`Unknown AI provider '${name}'. Supported providers: gemini, openai, ollama`);
+  }
+}
+
+// Gemini conversion helpers
+
+function toGeminiDeclaration(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    ...(tool.parameters && { parameters: toGeminiSchema(tool.parameters) }),
+  };
+}
+
+// Gemini expects string enums to be tagged with format "enum"
+function toGeminiSchema(schema) {
+  const result = { ...schema };
+  if (schema.enum) {
+    result.format = "enum";
+  }
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) {
+    result.items = toGeminiSchema(schema.items);
+  }
+  return result;
+}
+
+function toGeminiContents(messages) {
+  const contents = [];
+
+  for (const message of messages) {
+    if (message.role === "user") {
+      contents.push({ role: "user", parts: [{ text: message.content }] });
+    } else if (message.role === "assistant") {
+      contents.push({
+        role: "model",
+        parts: [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...(message.toolCalls || []).map((call) => ({
+            functionCall: { name: call.name, args: call.args },
+          })),
+        ],
+      });
+    } else if (message.role === "tool") {
+      const part = {
+        functionResponse: { name: message.name, response: { content: message.content } },
+      };
+      // All results for one model turn travel in a single function content
+      const previous = contents[contents.length - 1];
+      if (previous?.role === "function") {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: "function", parts: [part] });
+      }
+    }
+  }
+
+  return contents;
+}
+
+function fromGeminiResponse(response, messages) {
+  const candidate = response.candidates?.[0];
+  const parts = candidate?.content?.parts || [];
+
+  return {
+    text: parts.filter((part) => part.text).map((part) => part.text).join(""),
+    toolCalls: parts
+      .filter((part) => part.functionCall)
+      .map((part, index) => ({
+        id: `call_${messages.length}_${index}`,
+        name: part.functionCall.name,
+        args: part.functionCall.args || {},
+      })),
+    usage: response.usageMetadata && {
+      promptTokens: response.usageMetadata.promptTokenCount || 0,
+      completionTokens: response.usageMetadata.candidatesTokenCount || 0,
+      totalTokens: response.usageMetadata.totalTokenCount || 0,
+    },
+    finishReason: candidate?.finishReason || response.promptFeedback?.blockReason,
+  };
+}
+
+// OpenAI conversion helpers
+
+function toOpenAIMessage(message) {
+  if (message.role === "assistant") {
+    return {
+      role: "assistant",
+      content: message.content || null,
+      ...(message.toolCalls?.length > 0 && {
+        tool_calls: message.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.args) },
+        })),
+      }),
+    };
+  }
+  if (message.role === "tool") {
+    return { role: "tool", tool_call_id: message.toolCallId, content: message.content };
+  }
+  return { role: "user", content: message.content };
+}
+
+function fromOpenAIUsage(usage) {
+  return usage && {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  };
+}
+
+// Ollama conversion helpers
+
+function toOllamaMessage(message) {
+  if (message.role === "assistant") {
+    return {
+      role: "assistant",
+      content: message.content || "",
+      ...(message.toolCalls?.length > 0 && {
+        tool_calls: message.toolCalls.map((call) => ({
+          function: { name: call.name, arguments: call.args },
+        })),
+      }),
+    };
+  }
+  if (message.role === "tool") {
+    return { role: "tool", content: message.content, tool_name: message.name };
+  }
+  return { role: "user", content: message.content };
+}
+
+function fromOllamaResponse(data, messages) {
+  return {
+    text: data.message?.content || "",
+    toolCalls: (data.message?.tool_calls || []).map((call, index) =>
+      toToolCall(`call_${messages.length}_${index}`, call.function.name, call.function.arguments)
+    ),
+    usage: data.done && {
+      promptTokens: data.prompt_eval_count || 0,
+      completionTokens: data.eval_count || 0,
+      totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+    },
+    finishReason: data.done_reason,
+  };
+}
+
+// Cassette helpers
+
+// Only the parts of a request that influence the model's answer are recorded
+function normalizeRequest({ system, messages, tools }) {
+  return JSON.parse(JSON.stringify({
+    system: system || null,
+    messages: messages || [],
+    tools: (tools || []).map((tool) => tool.name),
+  }));
+}
+
+// Find the first path where two JSON values differ
+function findDifference(expected, actual, path = "request") {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) {
+    return null;
+  }
+  if (expected && actual && typeof expected === "object" && typeof actual === "object") {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      const difference = findDifference(expected[key], actual[key], `${path}.${key}`);
+      if (difference) return difference;
+    }
+  }
+  return { path, expected, actual };
+}
+
+// Shared helpers
+
+// Tool call arguments that cannot be parsed, even after repair, are reported on the
+// call instead of failing the whole response so the agent can ask the model to retry
+function toToolCall(id, name, args) {
+  if (!args) return { id, name, args: {} };
+  if (typeof args === "object") return { id, name, args };
+
+  try {
+    return { id, name, args: repairJson(args) };
+  } catch (error) {
+    return { id, name, args: {}, error: `Arguments are not valid JSON: ${args.slice(0, 200)}` };
+  }
+}
+
+// Failed HTTP response as an error carrying the status and Retry-After header for retry.js
+async function requestError(backend, response) {
+  const error = new Error(`${backend} request failed: ${response.status} ${response.statusText}\n${await response.text()}`);
+  error.status = response.status;
+  error.retryAfter = response.headers.get("retry-after");
+  return error;
+}
+
+// Rough estimate (about 4 characters per token) for backends without a tokenizer endpoint
+function estimateTokens(system, messages = []) {
+  const characters = (system || "").length + messages.reduce(
+    (total, message) => total + JSON.stringify(message).length,
+    0
+  );
+  return Math.ceil(characters / 4);
+}
+
+// Split a fetch response body into text lines
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    yield* lines;
+  }
+
+  if (buffer) yield buffer;
+}
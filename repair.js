@@ -0,0 +1,78 @@
+// Helpers for recovering from malformed model output
+
+// Parse JSON produced by a model, repairing common mistakes:
+// code fences, surrounding prose, trailing commas, single quotes and unquoted keys
+export function repairJson(text) {
+  if (typeof text !== "string") {
+    throw new Error("Expected a JSON string");
+  }
+
+  const candidates = [];
+  const trimmed = text.trim();
+  candidates.push(trimmed);
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const object = extractObject(trimmed);
+  if (object) {
+    candidates.push(object);
+  }
+
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, fixCommonMistakes(candidate)]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (error) {
+        // Try the next repair
+      }
+    }
+  }
+
+  throw new Error(`Could not repair JSON: ${trimmed.slice(0, 200)}`);
+}
+
+// Recognize a tool call written as JSON text instead of a native call, e.g.
+// {"type": "action", "function": "readFile", "input": {...}} or {"name": "readFile", "arguments": {...}}.
+// Only replies that consist of nothing but the JSON object are considered.
+export function extractToolCall(text, toolNames) {
+  const trimmed = (text || "").trim().replace(/^```(?:json)?\s*/, "").replace(/```$/, "").trim();
+  if (!trimmed.startsWith("{") || !trimmed.endsWith("}")) {
+    return null;
+  }
+
+  let value;
+  try {
+    value = repairJson(trimmed);
+  } catch (error) {
+    return null;
+  }
+
+  const name = value.function || value.name || value.tool;
+  const args = value.input ?? value.arguments ?? value.args ?? value.parameters ?? {};
+  if (typeof name !== "string" || !toolNames.includes(name)) {
+    return null;
+  }
+
+  try {
+    return { name, args: typeof args === "string" ? repairJson(args) : args };
+  } catch (error) {
+    return null;
+  }
+}
+
+// The outermost {...} block of a string, if any
+function extractObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+}
+
+function fixCommonMistakes(text) {
+  return text
+    .replace(/,\s*([}\]])/g, "$1") // trailing commas
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":') // unquoted keys
+    .replace(/'([^'\\]*(?:\\.[^'\\]*)*)'/g, (match, inner) => JSON.stringify(inner)); // single quotes
+}
@@ -0,0 +1,116 @@
+// Retries around model calls. Every attempt gets its own timeout; transient failures
+// (rate limits, overloaded or unreachable servers, timeouts) are retried with exponential
+// backoff and jitter, waiting at least as long as the server's retry-after hint.
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+// Network failures as reported by fetch, undici and the Gemini SDK
+const NETWORK_ERROR = /fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|UND_ERR/;
+
+// Call fn({ signal, keepAlive }) until it succeeds. The signal aborts when the attempt times out
+// or the outer signal aborts; keepAlive restarts the timeout, so a stream that keeps sending
+// data is not cut off. shouldRetry(error) can veto a retry, e.g. once output was shown.
+export async function withRetry(
+  fn,
+  { retries = 3, timeout = 30000, baseDelay = 1000, maxDelay = 30000, signal, shouldRetry, onRetry } = {}
+) {
+  const failures = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    let timer = null;
+    let timedOut = false;
+    const keepAlive = () => {
+      clearTimeout(timer);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort(new Error(`timed out after ${timeout} ms`));
+        }, timeout);
+      }
+    };
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", cancel);
+    keepAlive();
+
+    try {
+      if (signal?.aborted) throw signal.reason;
+      return await fn({ signal: controller.signal, keepAlive });
+    } catch (caught) {
+      // A cancelled run is never retried
+      if (signal?.aborted) throw caught;
+
+      const error = timedOut ? Object.assign(new Error(`Request timed out after ${timeout} ms`), { timeout: true }) : caught;
+      failures.push(`attempt ${attempt}: ${describeError(error)}`);
+
+      const retryAfter = retryAfterMs(error);
+      const retryable = isRetryable(error) && (!shouldRetry || shouldRetry(error));
+      if (!retryable || attempt > retries || retryAfter > maxDelay) {
+        if (failures.length === 1 && !timedOut) throw error;
+
+        const reason = retryAfter > maxDelay
+          ? ` (the server asked to wait ${Math.ceil(retryAfter / 1000)}s, more than ai.retry.maxDelay)`
+          : "";
+        throw Object.assign(
+          new Error(`Model request failed after ${attempt} attempt${attempt === 1 ? "" : "s"}${reason}:\n  ${failures.join("\n  ")}`),
+          { status: error.status, cause: error }
+        );
+      }
+
+      const delay = Math.max(backoff(attempt, baseDelay, maxDelay), retryAfter);
+      onRetry?.({ attempt, retries, error, delay });
+      await sleep(delay, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    }
+  }
+}
+
+export function isRetryable(error) {
+  if (error.timeout) return true;
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  return NETWORK_ERROR.test(`${error.message} ${error.code || ""} ${error.cause?.code || ""}`);
+}
+
+// Milliseconds the server asked us to wait, from a Retry-After header (seconds or HTTP date)
+// or from Gemini's RetryInfo error detail ("12s"); 0 without a hint
+export function retryAfterMs(error) {
+  const header = error.retryAfter;
+  if (header !== undefined && header !== null && header !== "") {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = (error.errorDetails || []).find((detail) => detail?.retryDelay);
+  const match = String(retryInfo?.retryDelay || "").match(/^([\d.]+)s$/);
+  return match ? Number(match[1]) * 1000 : 0;
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, half random
+function backoff(attempt, baseDelay, maxDelay) {
+  const step = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+function describeError(error) {
+  const message = String(error.message || error).split("\n")[0];
+  return error.status && !message.includes(String(error.status)) ? `${error.status} ${message}` : message;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
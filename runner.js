@@ -0,0 +1,201 @@
+// Agent runs as the CLI (cli.js) and the interactive assistant (index.js) set them up:
+// a runner built from config.ai, and hooks that print its steps to the terminal
+import { tools } from "./tools.js";
+import { AgentRunner } from "./agent.js";
+import { getConfig } from "./config.js";
+import { ContextManager } from "./context.js";
+import { Workspace } from "./workspace.js";
+import { formatUsage } from "./usage.js";
+import { selectTools, withInstructions } from "./profiles.js";
+import { withDelegate } from "./delegate.js";
+
+// Print a step or observation as a block of the step log
+export function logStep(step, prefix = "") {
+  // Streamed plan/output text is already on screen; just close its block
+  if (step.streamed) {
+    console.log("\n" + "=".repeat(60) + "\n");
+    return;
+  }
+
+  console.log("\n" + "=".repeat(60));
+  if (step.type === "plan") {
+    console.log(`${prefix}📋 PLAN: ${step.plan}`);
+  } else if (step.type === "action") {
+    console.log(`${prefix}⚡ ACTION: ${step.function}`);
+    console.log(`   Input: ${JSON.stringify(step.input, null, 2)}`);
+  } else if (step.type === "output") {
+    console.log(`${prefix}✅ OUTPUT:`);
+    console.log(`\n${step.output}`);
+    if (step.summary) {
+      console.log(`\n📌 Summary: ${step.summary}`);
+    }
+  } else if (step.type === "observation") {
+    console.log(`${prefix}👁️  OBSERVATION:`);
+    console.log(`   ${step.observation.substring(0, 200)}${step.observation.length > 200 ? "..." : ""}`);
+  }
+  console.log("=".repeat(60) + "\n");
+}
+
+// Live terminal output state: the step whose text is streaming, whether a progress line is open
+// and the usage of the latest model call, printed after its step's first block
+const live = { step: null, progressLine: false, usage: null };
+
+// Print model text as it streams in, opening a step block on the first token
+function streamToken(text, stepCount) {
+  if (live.step !== stepCount) {
+    endProgress();
+    console.log("\n" + "=".repeat(60));
+    process.stdout.write(`[Step ${stepCount}] 💭 `);
+    live.step = stepCount;
+  }
+  process.stdout.write(text);
+}
+
+// Show progress of a long-running tool: raw output is passed through,
+// status messages overwrite a single line on terminals
+export function showProgress(toolName, { message, output }) {
+  if (output) {
+    endProgress();
+    process.stdout.write(output);
+    return;
+  }
+  if (message && process.stdout.isTTY) {
+    process.stdout.write(`\r\x1b[2K   ⏳ ${toolName}: ${message}`);
+    live.progressLine = true;
+  }
+}
+
+export function endProgress() {
+  if (live.progressLine) {
+    process.stdout.write("\n");
+    live.progressLine = false;
+  }
+}
+
+// Build an agent runner from config.ai for the resolved profile settings (see profiles.js).
+// system(toolset) returns the prompt for the tools the agent gets; hooks report the run
+// (terminalHooks or agentEvents) and other options are passed on to AgentRunner.
+export async function createAgentRunner({ settings, provider, usage, system, hooks = {}, onObservation, ...options }) {
+  const maxRepairs = await getConfig("ai.maxRepairs");
+  const retry = { ...(await getConfig("ai.retry")), timeout: await getConfig("ai.timeout") };
+  const context = await getConfig("ai.context");
+  const workspace = new Workspace(await getConfig("workspace"));
+  // The agent can hand investigation tasks to read-only sub-agents with the delegate tool
+  const toolset = withDelegate(selectTools(tools, settings.tools), await getConfig("ai.delegate"), {
+    provider, usage, workspace, retry, maxRepairs, context, profileTools: settings.tools,
+  });
+  return new AgentRunner({
+    provider,
+    system: withInstructions(system(toolset), settings),
+    tools: toolset,
+    maxSteps: settings.maxSteps,
+    maxRepairs,
+    retry,
+    context: new ContextManager({ provider, usage, ...context }),
+    workspace,
+    ...options,
+    usage,
+    ...hooks,
+    // A caller's onObservation runs after the display of the result
+    ...(onObservation && {
+      onObservation: (observation, details) => {
+        hooks.onObservation?.(observation, details);
+        onObservation(observation, details);
+      },
+    }),
+  });
+}
+
+// Hooks that print a run in the CLI format
+export function terminalHooks(label) {
+  return {
+    onStep: (step, stepCount) => {
+      live.step = null;
+      logStep(step, `[Step ${stepCount}] `);
+      if (live.usage) {
+        console.log(`📊 [Step ${stepCount}] ${formatUsage(live.usage)}`);
+        live.usage = null;
+      }
+    },
+    onUsage: (stepUsage) => {
+      live.usage = stepUsage;
+    },
+    onToken: streamToken,
+    onProgress: showProgress,
+    onObservation: (observation, { error }) => {
+      endProgress();
+      if (error) {
+        console.error("❌ Action failed:", error.message);
+      }
+      logStep(observation);
+    },
+    onRepair: reportRepair,
+    onRetry: reportRetry,
+    onCompact: reportCompaction,
+    onFinish: (result) => reportResult(result, label),
+  };
+}
+
+// Print a note when an invalid model step is sent back for correction
+function reportRepair({ problem, attempt, maxRepairs }) {
+  endProgress();
+  console.log(`\n🩹 Invalid step, asking the model to correct it (${attempt}/${maxRepairs}): ${problem}`);
+}
+
+// Print progress the agent reports against the approved plan
+export function reportPlanProgress(plan, step) {
+  endProgress();
+  const { status, description, note } = plan.steps[step - 1];
+  console.log(`\n📋 Plan step ${step}/${plan.steps.length} ${status.replace("_", " ")}: ${description}${note ? ` (${note})` : ""}`);
+}
+
+// Print a note when a model request failed and will be retried
+function reportRetry({ attempt, retries, error, delay }) {
+  endProgress();
+  live.step = null;
+  console.log(
+    `\n⏳ Model request failed (attempt ${attempt} of ${retries + 1}): ${error.message.split("\n")[0]}. ` +
+    `Retrying in ${(delay / 1000).toFixed(1)}s...`
+  );
+}
+
+// Print a note when older observations were summarized to fit the context budget
+function reportCompaction({ compacted, before, after, budget }) {
+  console.log(
+    `\n🗜️  Context ${before.toLocaleString()} → ${after.toLocaleString()} tokens ` +
+    `(budget ${budget.toLocaleString()}): summarized ${compacted} older observation${compacted === 1 ? "" : "s"}`
+  );
+}
+
+// Print how an agent run ended
+function reportResult(result, label) {
+  switch (result.status) {
+    case "completed":
+      console.log(`\n✨ ${label} completed successfully!\n`);
+      break;
+    case "max_steps":
+      console.log(`\n⚠️  Maximum steps reached. ${label} may be incomplete.`);
+      break;
+    case "invalid_response":
+      console.error("❌ Invalid AI response:", result.response);
+      break;
+    case "stopped":
+      // Plan mode: the plan is reviewed next
+      break;
+    case "cancelled":
+      console.log(`\n⛔ ${label} cancelled. File changes made so far can be rolled back with /undo.`);
+      break;
+    case "budget_exceeded":
+      console.log(`\n🛑 ${result.response}. ${label} stopped; raise ai.budget to allow more.`);
+      break;
+    default:
+      console.error("\n❌ Unexpected error:", result.error.message);
+      console.error("Stack:", result.error.stack);
+  }
+
+  if (result.usage) {
+    const { task, session } = result.usage;
+    const sessionNote = session.calls > task.calls ? `; session total ${formatUsage(session)}` : "";
+    console.log(`📊 Usage: ${formatUsage(task)} over ${task.calls} model call${task.calls === 1 ? "" : "s"}${sessionNote}`);
+  }
+}
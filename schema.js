@@ -0,0 +1,210 @@
+// Validation and coercion of tool inputs against the JSON Schema subset used in tools.js:
+// object, string, integer, number, boolean and array types, required, enum and items
+
+// Validate an input object. Returns the coerced value and a list of field-level errors.
+export function validateInput(schema, input) {
+  const errors = [];
+  const value = validateValue(schema || { type: "object", properties: {} }, input ?? {}, "", errors);
+  return { value, errors };
+}
+
+// Format validation errors as one line per field
+export function formatErrors(errors) {
+  return errors.map(({ field, message }) => `  - ${field || "input"}: ${message}`).join("\n");
+}
+
+// Short type label for help text and prompts, e.g. string[] or "asc"|"desc"
+export function typeLabel(schema = {}) {
+  if (schema.enum) {
+    return schema.enum.map((option) => JSON.stringify(option)).join("|");
+  }
+  if (schema.type === "array") {
+    return `${typeLabel(schema.items)}[]`;
+  }
+  return schema.type || "any";
+}
+
+function validateValue(schema, value, field, errors) {
+  const coerced = coerce(schema, value);
+  const fail = (message) => {
+    errors.push({ field, message });
+    return coerced;
+  };
+
+  switch (schema.type) {
+    case "object": {
+      if (!isPlainObject(coerced)) {
+        return fail(`expected an object, got ${describe(value)}`);
+      }
+      const properties = schema.properties || {};
+      const names = Object.keys(properties);
+      const result = {};
+
+      for (const [key, item] of Object.entries(coerced)) {
+        const path = field ? `${field}.${key}` : key;
+        if (!properties[key]) {
+          const suggestion = closestMatch(key, names.filter((name) => !(name in coerced)));
+          errors.push({
+            field: path,
+            message: suggestion
+              ? `unknown property (did you mean '${suggestion}'?)`
+              : `unknown property${names.length > 0 ? ` (expected one of: ${names.join(", ")})` : ""}`,
+          });
+          continue;
+        }
+        // Models often send null for optional fields they mean to leave out
+        if (item === null || item === undefined) {
+          continue;
+        }
+        result[key] = validateValue(properties[key], item, path, errors);
+      }
+
+      for (const key of schema.required || []) {
+        if (!(key in result) && !errors.some((error) => error.field === (field ? `${field}.${key}` : key))) {
+          errors.push({ field: field ? `${field}.${key}` : key, message: `required ${typeLabel(properties[key])} is missing` });
+        }
+      }
+      return result;
+    }
+
+    case "array":
+      if (!Array.isArray(coerced)) {
+        return fail(`expected an array, got ${describe(value)}`);
+      }
+      return coerced.map((item, index) =>
+        schema.items ? validateValue(schema.items, item, `${field}[${index}]`, errors) : item
+      );
+
+    case "string":
+    case "number":
+    case "integer":
+    case "boolean":
+      if (!matchesType(schema.type, coerced)) {
+        return fail(`expected ${schema.type === "integer" ? "an integer" : `a ${schema.type}`}, got ${describe(value)}`);
+      }
+      if (schema.enum && !schema.enum.includes(coerced)) {
+        return fail(`must be one of ${typeLabel(schema)}, got ${JSON.stringify(value)}`);
+      }
+      return coerced;
+
+    default:
+      return coerced;
+  }
+}
+
+// Convert common near-misses (numbers as strings, comma-separated lists, ...) to the declared type
+function coerce(schema, value) {
+  switch (schema.type) {
+    case "string":
+      if (typeof value === "number" || typeof value === "boolean") {
+        return String(value);
+      }
+      if (schema.enum && typeof value === "string") {
+        return schema.enum.find((option) => option.toLowerCase() === value.toLowerCase()) ?? value;
+      }
+      return value;
+
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+        return Number(value);
+      }
+      return value;
+
+    case "boolean":
+      if (value === "true" || value === 1) return true;
+      if (value === "false" || value === 0) return false;
+      return value;
+
+    case "array":
+      if (typeof value === "string") {
+        const parsed = parseJson(value);
+        if (Array.isArray(parsed)) return parsed;
+        return value.split(",").map((item) => item.trim()).filter(Boolean);
+      }
+      if (value !== undefined && value !== null && !Array.isArray(value)) {
+        return [value];
+      }
+      return value;
+
+    case "object":
+      if (typeof value === "string") {
+        const parsed = parseJson(value);
+        return isPlainObject(parsed) ? parsed : value;
+      }
+      return value;
+
+    default:
+      return value;
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    default:
+      return true;
+  }
+}
+
+// The candidate closest to name by edit distance, if it is plausibly a typo
+function closestMatch(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  // Accept small typos, and a single remaining candidate as an alias (file -> path)
+  if (best && (bestDistance <= Math.max(2, Math.floor(name.length / 3)) || candidates.length === 1)) {
+    return best;
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return typeof value === "string" ? `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}` : typeof value;
+}
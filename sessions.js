@@ -0,0 +1,98 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { CONFIG_DIR } from "./config.js";
+
+const SESSIONS_DIR = path.join(CONFIG_DIR, "sessions");
+
+// Agent sessions persisted as one JSON file each under ~/.cursor-clone/sessions
+export class SessionStore {
+  constructor(directory = SESSIONS_DIR) {
+    this.directory = directory;
+    this.writes = new Map();
+  }
+
+  create({ cwd = process.cwd(), provider, model } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: `${now.slice(0, 10).replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex")}`,
+      cwd,
+      provider,
+      model,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    };
+  }
+
+  // Writes for the same session are queued so they never interleave on disk
+  save(session, messages = session.messages) {
+    session.messages = messages;
+    session.updatedAt = new Date().toISOString();
+
+    const previous = this.writes.get(session.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(this.filePath(session.id), JSON.stringify(session, null, 2), "utf-8");
+    });
+    this.writes.set(session.id, write.catch(() => {}));
+    return write;
+  }
+
+  // Load a session by id or by a unique id prefix
+  async load(id) {
+    const matches = (await this.ids()).filter((candidate) => candidate.startsWith(id));
+
+    if (matches.length === 0) {
+      throw new Error(`Session '${id}' not found`);
+    }
+    if (matches.length > 1 && !matches.includes(id)) {
+      throw new Error(`Session id '${id}' is ambiguous: ${matches.join(", ")}`);
+    }
+
+    const match = matches.includes(id) ? id : matches[0];
+    return JSON.parse(await fs.readFile(this.filePath(match), "utf-8"));
+  }
+
+  // Summaries of all sessions, most recently updated first
+  async list() {
+    const summaries = [];
+
+    for (const id of await this.ids()) {
+      try {
+        const session = JSON.parse(await fs.readFile(this.filePath(id), "utf-8"));
+        const prompts = session.messages.filter((message) => message.role === "user");
+        summaries.push({
+          id: session.id,
+          cwd: session.cwd,
+          model: session.model,
+          createdAt: session.createdAt,
+          updatedAt: session.updatedAt,
+          turns: prompts.length,
+          title: prompts[0]?.content || "(empty)",
+        });
+      } catch (error) {
+        // Skip unreadable session files
+      }
+    }
+
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async ids() {
+    try {
+      const entries = await fs.readdir(this.directory);
+      return entries.filter((name) => name.endsWith(".json")).map((name) => name.slice(0, -5));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+// Global session store instance
+export const sessions = new SessionStore();
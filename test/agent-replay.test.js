@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AgentRunner } from "../agent.js";
+import { ReplayProvider } from "../providers.js";
+import { tools } from "../tools.js";
+
+// Replays a recorded model conversation through the agent loop. The cassette was recorded with
+// CURSOR_RECORD; replaying it needs no network and fails on any change to what the agent sends.
+
+const fixtures = path.dirname(fileURLToPath(import.meta.url)) + "/fixtures";
+const cassette = path.join(fixtures, "fix-typo.cassette.json");
+const system = "You are a coding agent. Use the provided functions to inspect and change files, then reply with a short summary.";
+
+const originalCwd = process.cwd();
+let workdir;
+
+// Each test works on a fresh copy of the fixture project
+beforeEach(async () => {
+  workdir = await fs.mkdtemp(path.join(os.tmpdir(), "cursor-replay-"));
+  await fs.cp(path.join(fixtures, "project"), workdir, { recursive: true });
+  process.chdir(workdir);
+});
+
+afterEach(async () => {
+  process.chdir(originalCwd);
+  await fs.rm(workdir, { recursive: true, force: true });
+});
+
+function createRunner(options = {}) {
+  return new AgentRunner({
+    provider: new ReplayProvider(cassette),
+    system,
+    tools: { readFile: tools.readFile, editFile: tools.editFile },
+    maxSteps: 5,
+    stream: false,
+    ...options,
+  });
+}
+
+test("replays a recorded run that reads and edits a file", async () => {
+  const calls = [];
+  const runner = createRunner({
+    onObservation: (observation, { step, error }) => calls.push({ name: step.function, ok: !error }),
+  });
+
+  const result = await runner.run("Fix the typo in greeting.txt");
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.steps, 3);
+  assert.match(result.output.output, /Hello/);
+  assert.deepEqual(calls, [
+    { name: "readFile", ok: true },
+    { name: "editFile", ok: true },
+  ]);
+  assert.equal(await fs.readFile("greeting.txt", "utf-8"), "Hello, world!\n");
+});
+
+test("stops when the agent sends a request that differs from the recording", async () => {
+  const result = await createRunner().run("Fix the typos in greeting.txt");
+
+  assert.equal(result.status, "error");
+  assert.match(result.error.message, /Cassette mismatch at interaction 1, request\.messages/);
+  assert.equal(await fs.readFile("greeting.txt", "utf-8"), "Helo, world!\n");
+});
@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { CheckpointStore } from "../checkpoints.js";
+
+let root;
+let store;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), "cursor-checkpoints-"));
+  await fs.mkdir(path.join(root, "project"));
+  await fs.writeFile(path.join(root, "project", "app.js"), "original\n");
+  await fs.writeFile(path.join(root, "project", "old.txt"), "keep me\n");
+  store = new CheckpointStore({ root: path.join(root, "project"), directory: path.join(root, "store") });
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+const file = (name) => path.join(root, "project", name);
+const read = (name) => fs.readFile(file(name), "utf-8");
+const exists = (name) => fs.access(file(name)).then(() => true, () => false);
+
+test("calls that change nothing create no checkpoint", async () => {
+  store.startTurn("dry run");
+  await store.capture([]);
+  await store.capture([undefined, null, ""]);
+
+  assert.deepEqual(await store.list(), []);
+  await assert.rejects(store.undo(), /No checkpoints to undo/);
+});
+
+test("undo restores modified and deleted files and removes created ones", async () => {
+  store.startTurn("change some files");
+  await store.capture([file("app.js")]);
+  await fs.writeFile(file("app.js"), "changed\n");
+  await store.capture([file("old.txt")]);
+  await fs.rm(file("old.txt"));
+  await store.capture([file("src/new.js"), file("app.js")]);
+  await fs.mkdir(file("src"));
+  await fs.writeFile(file("src/new.js"), "created\n");
+
+  const checkpoints = await store.list();
+  assert.equal(checkpoints.length, 1);
+  assert.equal(checkpoints[0].prompt, "change some files");
+  assert.deepEqual(checkpoints[0].entries.map((entry) => entry.type), ["file", "file", "missing"]);
+
+  const [result] = await store.undo();
+  assert.deepEqual(result.restored.sort(), [file("app.js"), file("old.txt")]);
+  assert.deepEqual(result.deleted, [file("src/new.js")]);
+  assert.equal(await read("app.js"), "original\n");
+  assert.equal(await read("old.txt"), "keep me\n");
+  assert.equal(await exists("src"), false);
+  assert.deepEqual(await store.list(), []);
+});
+
+test("each turn is undone separately, newest first", async () => {
+  store.startTurn("first");
+  await store.capture([file("app.js")]);
+  await fs.writeFile(file("app.js"), "first\n");
+
+  store.startTurn("second");
+  await store.capture([file("app.js")]);
+  await fs.writeFile(file("app.js"), "second\n");
+
+  const [second] = await store.undo();
+  assert.equal(second.checkpoint.prompt, "second");
+  assert.equal(await read("app.js"), "first\n");
+
+  const [first] = await store.undo();
+  assert.equal(first.checkpoint.prompt, "first");
+  assert.equal(await read("app.js"), "original\n");
+});
+
+test("a captured directory is restored as a whole", async () => {
+  await fs.mkdir(file("lib"));
+  await fs.writeFile(file("lib/a.js"), "a\n");
+
+  store.startTurn("rewrite lib");
+  await store.capture([file("lib")]);
+  await fs.writeFile(file("lib/a.js"), "A\n");
+  await fs.mkdir(file("lib/extra"));
+  await fs.writeFile(file("lib/extra/b.js"), "b\n");
+
+  await store.undo();
+  assert.equal(await read("lib/a.js"), "a\n");
+  assert.equal(await exists("lib/extra"), false);
+});
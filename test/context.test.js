@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ContextManager } from "../context.js";
+
+function fakeProvider() {
+  const provider = {
+    summaries: 0,
+    async generate() {
+      provider.summaries++;
+      return { text: "The log ends with one error.", toolCalls: [], usage: null };
+    },
+    async countTokens() {
+      throw new Error("countTokens must not be called");
+    },
+  };
+  return provider;
+}
+
+const transcript = () => [
+  { role: "user", content: "look at the logs" },
+  { role: "assistant", content: "", toolCalls: [{ id: "1", name: "readFile", args: { path: "a.log" } }] },
+  { role: "tool", toolCallId: "1", name: "readFile", content: "a".repeat(2000) },
+  { role: "assistant", content: "", toolCalls: [{ id: "2", name: "readFile", args: { path: "b.log" } }] },
+  { role: "tool", toolCallId: "2", name: "readFile", content: "b".repeat(2000) },
+  { role: "assistant", content: "Both logs end with one error." },
+];
+
+test("tokens are estimated locally, without a request per message", async () => {
+  const provider = fakeProvider();
+  const context = new ContextManager({ provider, budget: 10000 });
+
+  assert.equal(await context.fit("system", transcript()), null);
+  assert.equal(context.countText("12345678"), 2);
+  assert.equal(context.countText(""), 0);
+  assert.equal(provider.summaries, 0);
+});
+
+test("the oldest observations are summarized until the transcript fits", async () => {
+  const provider = fakeProvider();
+  const context = new ContextManager({ provider, budget: 1000, keepRecent: 1 });
+  const messages = transcript();
+
+  const compaction = await context.fit("system", messages);
+
+  assert.equal(compaction.compacted, 1);
+  assert.ok(compaction.after <= 800, `${compaction.after} tokens after compaction`);
+  assert.equal(messages[2].content, "[Summary of earlier readFile result] The log ends with one error.");
+  assert.equal(messages[4].content, "b".repeat(2000));
+  assert.equal(provider.summaries, 1);
+});
+
+test("a transcript that cannot be compacted enough is refused", async () => {
+  const context = new ContextManager({ provider: fakeProvider(), budget: 100, keepRecent: 1 });
+  await assert.rejects(
+    context.fit("system", [{ role: "user", content: "x".repeat(1000) }]),
+    /The conversation is about 252 tokens, over the context budget of 100/
+  );
+});
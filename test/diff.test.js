@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines, createUnifiedDiff, formatDiffStats, countLines } from "../diff.js";
+
+// Apply diffLines operations to the old lines to get the new ones
+function applyOps(oldText, ops) {
+  const oldLines = oldText ? oldText.replace(/\n$/, "").split("\n") : [];
+  const result = [];
+  let position = 0;
+  for (const op of ops) {
+    if (op.type !== "+") {
+      assert.equal(oldLines[position++], op.line);
+    }
+    if (op.type !== "-") {
+      result.push(op.line);
+    }
+  }
+  assert.equal(position, oldLines.length);
+  return result.join("\n");
+}
+
+test("createUnifiedDiff produces hunks with context", () => {
+  const before = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n";
+  const after = "a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n";
+  const { diff, added, removed } = createUnifiedDiff(before, after, { oldPath: "a/x.txt", newPath: "b/x.txt", context: 1 });
+  assert.equal(diff, [
+    "--- a/x.txt",
+    "+++ b/x.txt",
+    "@@ -1,3 +1,3 @@",
+    " a",
+    "-b",
+    "+B",
+    " c",
+    "@@ -10,1 +10,2 @@",
+    " j",
+    "+k",
+  ].join("\n"));
+  assert.deepEqual({ added, removed }, { added: 2, removed: 1 });
+});
+
+test("createUnifiedDiff of identical texts is empty", () => {
+  assert.deepEqual(createUnifiedDiff("same\n", "same\n"), { diff: "", added: 0, removed: 0 });
+});
+
+test("diffLines finds a shortest edit script", () => {
+  const before = "x\na\nb\nc\ny\n";
+  const after = "a\nc\nb\nc\nz\n";
+  const ops = diffLines(before, after);
+  assert.equal(applyOps(before, ops), after.replace(/\n$/, ""));
+  // The longest common subsequence, a b c, is kept
+  assert.equal(ops.filter((op) => op.type === " ").length, 3);
+});
+
+test("diffLines replaces the differing block whole when too much changed", () => {
+  const before = Array.from({ length: 3000 }, (_, i) => `old ${i}`).join("\n");
+  const after = Array.from({ length: 3000 }, (_, i) => `new ${i}`).join("\n");
+  const ops = diffLines(`head\n${before}\ntail`, `head\n${after}\ntail`);
+  assert.equal(applyOps(`head\n${before}\ntail`, ops), `head\n${after}\ntail`);
+  assert.deepEqual(ops.slice(0, 2).map((op) => op.type), [" ", "-"]);
+  assert.equal(ops.filter((op) => op.type === "-").length, 3000);
+  assert.equal(ops.filter((op) => op.type === "+").length, 3000);
+});
+
+test("formatDiffStats and countLines summarize changes", () => {
+  assert.equal(formatDiffStats({ added: 3, removed: 1 }), "+3 -1 lines");
+  assert.equal(formatDiffStats({ added: 1, removed: 0 }), "+1 -0 line");
+  assert.equal(countLines("a\nb\n"), 2);
+  assert.equal(countLines("a\nb"), 2);
+  assert.equal(countLines(""), 0);
+});
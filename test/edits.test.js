@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyEdits } from "../edits.js";
+
+const source = "function add(a, b) {\n  return a + b;\n}\n\nfunction sub(a, b) {\n  return a - b;\n}\n";
+
+test("replaces each oldText block in order", () => {
+  const result = applyEdits(source, [
+    { oldText: "return a + b;", newText: "return a + b + 0;" },
+    { oldText: "a + b + 0", newText: "b + a" },
+  ]);
+  assert.equal(result, source.replace("a + b;", "b + a;"));
+});
+
+test("refuses oldText that matches more than once or not at all", () => {
+  assert.throws(
+    () => applyEdits(source, [{ oldText: "(a, b) {", newText: "(x, y) {" }]),
+    /^Error: Edit: oldText matches 2 times/
+  );
+  assert.throws(
+    () => applyEdits(source, [{ oldText: "return a * b;", newText: "" }]),
+    /Edit: oldText was not found\. Nearest match \(lines 2-2, \d+% similar\):\n {4}2 \|   return a \+ b;/
+  );
+  assert.throws(
+    () => applyEdits(source, [{ oldText: "", newText: "x" }]),
+    /oldText is empty/
+  );
+});
+
+test("applies all edits or none", () => {
+  assert.throws(
+    () => applyEdits(source, [
+      { oldText: "return a + b;", newText: "return 0;" },
+      { oldText: "missing line", newText: "" },
+    ]),
+    /^Error: Edit 2 of 2: oldText was not found/
+  );
+});
+
+test("matches whole lines ignoring indentation with fuzzyWhitespace", () => {
+  const edit = { oldText: "function sub(a, b) {\nreturn  a - b;\n}", newText: "function sub(a, b) {\n  return a - b - 0;\n}" };
+  assert.throws(() => applyEdits(source, [edit]), /oldText was not found/);
+  assert.equal(applyEdits(source, [edit], { fuzzyWhitespace: true }), source.replace("a - b;", "a - b - 0;"));
+});
+
+test("keeps CRLF line endings", () => {
+  const crlf = source.replace(/\n/g, "\r\n");
+  const result = applyEdits(crlf, [{ oldText: "return a + b;\n}", newText: "return b + a;\n}" }]);
+  assert.equal(result, crlf.replace("a + b", "b + a"));
+});
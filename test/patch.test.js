@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { parsePatch, patchPaths, applyPatch, formatPatchSummary } from "../patch.js";
+
+let cwd;
+
+beforeEach(async () => {
+  cwd = await fs.mkdtemp(path.join(os.tmpdir(), "cursor-patch-"));
+  await fs.writeFile(path.join(cwd, "app.js"), "one\ntwo\nthree\nfour\nfive\n");
+  await fs.writeFile(path.join(cwd, "old.txt"), "gone\n");
+  await fs.writeFile(path.join(cwd, "name.txt"), "same\n");
+});
+
+afterEach(async () => {
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+const read = (name) => fs.readFile(path.join(cwd, name), "utf-8");
+const exists = (name) => fs.access(path.join(cwd, name)).then(() => true, () => false);
+
+const gitPatch = `diff --git a/app.js b/app.js
+--- a/app.js
++++ b/app.js
+@@ -2,3 +2,3 @@
+ two
+-three
++THREE
+ four
+diff --git a/new.txt b/new.txt
+new file mode 100644
+--- /dev/null
++++ b/new.txt
+@@ -0,0 +1,2 @@
++hello
++world
+diff --git a/old.txt b/old.txt
+deleted file mode 100644
+--- a/old.txt
++++ /dev/null
+@@ -1 +0,0 @@
+-gone
+diff --git a/name.txt b/renamed.txt
+similarity index 100%
+rename from name.txt
+rename to renamed.txt
+`;
+
+test("parsePatch splits a git patch into file changes", () => {
+  const files = parsePatch(gitPatch);
+  assert.deepEqual(
+    files.map(({ oldPath, newPath, isNew, isDelete }) => ({ oldPath, newPath, isNew, isDelete })),
+    [
+      { oldPath: "app.js", newPath: "app.js", isNew: false, isDelete: false },
+      { oldPath: null, newPath: "new.txt", isNew: true, isDelete: false },
+      { oldPath: "old.txt", newPath: null, isNew: false, isDelete: true },
+      { oldPath: "name.txt", newPath: "renamed.txt", isNew: false, isDelete: false },
+    ]
+  );
+  assert.deepEqual(files[0].hunks[0], {
+    oldStart: 2,
+    oldCount: 3,
+    newStart: 2,
+    newCount: 3,
+    lines: [
+      { type: " ", text: "two" },
+      { type: "-", text: "three" },
+      { type: "+", text: "THREE" },
+      { type: " ", text: "four" },
+    ],
+  });
+  assert.deepEqual(patchPaths(gitPatch), ["app.js", "app.js", "new.txt", "old.txt", "name.txt", "renamed.txt"]);
+});
+
+test("parsePatch reports malformed hunks", () => {
+  assert.throws(() => parsePatch("@@ -1 +1 @@\n-a\n+b\n"), /Hunk without file headers at line 1/);
+  assert.throws(() => parsePatch("--- a/x\n+++ b/x\n@@ -1,2 +1,2 @@\n-a\n"), /Patch ends in the middle of a hunk for b\/x/);
+  assert.deepEqual(patchPaths("@@ broken"), []);
+});
+
+test("applyPatch modifies, creates, deletes and renames files", async () => {
+  const changes = await applyPatch(gitPatch, { cwd });
+
+  assert.equal(await read("app.js"), "one\ntwo\nTHREE\nfour\nfive\n");
+  assert.equal(await read("new.txt"), "hello\nworld\n");
+  assert.equal(await exists("old.txt"), false);
+  assert.equal(await exists("name.txt"), false);
+  assert.equal(await read("renamed.txt"), "same\n");
+  assert.equal(
+    formatPatchSummary(changes),
+    "Patch applied to 4 files:\n  M app.js\n  A new.txt\n  D old.txt\n  R name.txt → renamed.txt"
+  );
+});
+
+test("applyPatch with dryRun checks the patch without writing", async () => {
+  const changes = await applyPatch(gitPatch, { cwd, dryRun: true });
+
+  assert.match(formatPatchSummary(changes, { dryRun: true }), /^Patch applies cleanly to 4 files \(dry run, nothing written\):/);
+  assert.equal(await read("app.js"), "one\ntwo\nthree\nfour\nfive\n");
+  assert.equal(await exists("new.txt"), false);
+});
+
+test("applyPatch applies hunks at an offset and with fuzz", async () => {
+  await fs.writeFile(path.join(cwd, "app.js"), "zero\none\ntwo\nthree\nfour\nfive\n");
+  const shifted = "--- app.js\n+++ app.js\n@@ -2,3 +2,3 @@\n two\n-three\n+THREE\n four\n";
+  const [change] = await applyPatch(shifted, { cwd });
+  assert.deepEqual(change.notes, ["hunk #1 applied at offset 1"]);
+  assert.equal(await read("app.js"), "zero\none\ntwo\nTHREE\nfour\nfive\n");
+
+  const fuzzy = "--- app.js\n+++ app.js\n@@ -3,3 +3,3 @@\n TWO?\n-THREE\n+3\n four\n";
+  const [fuzzed] = await applyPatch(fuzzy, { cwd });
+  assert.deepEqual(fuzzed.notes, ["hunk #1 applied with fuzz 1"]);
+  assert.equal(await read("app.js"), "zero\none\ntwo\n3\nfour\nfive\n");
+});
+
+test("applyPatch writes nothing when any hunk fails", async () => {
+  const patch = `--- a/app.js
++++ b/app.js
+@@ -1,1 +1,1 @@
+-one
++ONE
+--- a/name.txt
++++ b/name.txt
+@@ -1,1 +1,1 @@
+-different
++changed
+`;
+  await assert.rejects(applyPatch(patch, { cwd }), /name\.txt: hunk #1 \(@@ -1,1 \+1,1 @@\) does not apply\. Expected to find:\n {4}different/);
+  assert.equal(await read("app.js"), "one\ntwo\nthree\nfour\nfive\n");
+});
+
+test("applyPatch refuses to create a file that exists", async () => {
+  const patch = "--- /dev/null\n+++ b/app.js\n@@ -0,0 +1 @@\n+new\n";
+  await assert.rejects(applyPatch(patch, { cwd }), /app\.js: file already exists/);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { repairJson, extractToolCall } from "../repair.js";
+
+test("repairJson parses valid JSON unchanged", () => {
+  assert.deepEqual(repairJson('{"path": "a.js", "lines": [1, 2]}'), { path: "a.js", lines: [1, 2] });
+});
+
+test("repairJson strips code fences and surrounding prose", () => {
+  assert.deepEqual(repairJson('```json\n{"path": "a.js"}\n```'), { path: "a.js" });
+  assert.deepEqual(repairJson('Here is the call: {"path": "a.js"} as requested.'), { path: "a.js" });
+});
+
+test("repairJson fixes trailing commas, unquoted keys and single quotes", () => {
+  assert.deepEqual(repairJson("{path: 'src/a.js', tags: ['a', 'b',],}"), { path: "src/a.js", tags: ["a", "b"] });
+});
+
+test("repairJson reports text it cannot repair", () => {
+  assert.throws(() => repairJson("not json at all"), /Could not repair JSON: not json at all/);
+  assert.throws(() => repairJson(42), /Expected a JSON string/);
+});
+
+test("extractToolCall recognizes tool calls written as text", () => {
+  const names = ["readFile", "writeFile"];
+  assert.deepEqual(
+    extractToolCall('{"type": "action", "function": "readFile", "input": {"path": "a.js"}}', names),
+    { name: "readFile", args: { path: "a.js" } }
+  );
+  assert.deepEqual(
+    extractToolCall('```json\n{"name": "writeFile", "arguments": "{\\"path\\": \\"b.js\\"}"}\n```', names),
+    { name: "writeFile", args: { path: "b.js" } }
+  );
+});
+
+test("extractToolCall ignores prose, unknown tools and unparseable arguments", () => {
+  const names = ["readFile"];
+  assert.equal(extractToolCall('I will call {"name": "readFile"} now', names), null);
+  assert.equal(extractToolCall('{"name": "deleteEverything", "arguments": {}}', names), null);
+  assert.equal(extractToolCall('{"name": "readFile", "arguments": "not json"}', names), null);
+  assert.equal(extractToolCall("", names), null);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateInput, formatErrors, typeLabel } from "../schema.js";
+
+const schema = {
+  type: "object",
+  properties: {
+    path: { type: "string" },
+    maxDepth: { type: "integer" },
+    recursive: { type: "boolean" },
+    fileTypes: { type: "array", items: { type: "string" } },
+    order: { type: "string", enum: ["asc", "desc"] },
+  },
+  required: ["path"],
+};
+
+test("accepts a valid input as is", () => {
+  const input = { path: "src", maxDepth: 2, recursive: true, fileTypes: [".js"], order: "asc" };
+  assert.deepEqual(validateInput(schema, input), { value: input, errors: [] });
+});
+
+test("coerces common near-misses to the declared types", () => {
+  const { value, errors } = validateInput(schema, {
+    path: 42,
+    maxDepth: "3",
+    recursive: "false",
+    fileTypes: ".js, .ts",
+    order: "DESC",
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { path: "42", maxDepth: 3, recursive: false, fileTypes: [".js", ".ts"], order: "desc" });
+});
+
+test("parses arrays and objects sent as JSON strings", () => {
+  const nested = {
+    type: "object",
+    properties: { edits: { type: "array", items: { type: "object", properties: { oldText: { type: "string" } } } } },
+  };
+  const { value, errors } = validateInput(nested, { edits: '[{"oldText": "a"}]' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { edits: [{ oldText: "a" }] });
+});
+
+test("drops null optional fields", () => {
+  assert.deepEqual(validateInput(schema, { path: "src", maxDepth: null }), { value: { path: "src" }, errors: [] });
+});
+
+test("reports wrong types, enum values and missing required fields per field", () => {
+  const { errors } = validateInput(schema, { maxDepth: 1.5, order: "random", fileTypes: [1, {}] });
+  assert.deepEqual(errors, [
+    { field: "maxDepth", message: "expected an integer, got number" },
+    { field: "order", message: 'must be one of "asc"|"desc", got "random"' },
+    { field: "fileTypes[1]", message: "expected a string, got object" },
+    { field: "path", message: "required string is missing" },
+  ]);
+});
+
+test("suggests the intended name for unknown properties", () => {
+  const { errors } = validateInput(schema, { pth: "src", recursive: true });
+  assert.deepEqual(errors, [
+    { field: "pth", message: "unknown property (did you mean 'path'?)" },
+    { field: "path", message: "required string is missing" },
+  ]);
+});
+
+test("formatErrors and typeLabel describe fields for the model", () => {
+  assert.equal(
+    formatErrors([{ field: "path", message: "required string is missing" }, { field: "", message: "expected an object, got string" }]),
+    "  - path: required string is missing\n  - input: expected an object, got string"
+  );
+  assert.equal(typeLabel({ type: "array", items: { type: "string" } }), "string[]");
+  assert.equal(typeLabel({ type: "string", enum: ["asc", "desc"] }), '"asc"|"desc"');
+  assert.equal(typeLabel(), "any");
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AgentRunner } from "../agent.js";
+import { ContextManager } from "../context.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves only when the request's signal aborts, like a server that never answers
+const hang = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+});
+
+test("ai.timeout is the longest wait between stream chunks, tool call fragments included", async () => {
+  let calls = 0;
+  const provider = {
+    name: "fake",
+    async stream(request, onText, onChunk) {
+      calls++;
+      if (calls > 1) {
+        onText("Done.");
+        return { text: "Done.", toolCalls: [], usage: null };
+      }
+      // Arguments arrive over 200 ms in fragments 20 ms apart, without any text
+      for (let i = 0; i < 10; i++) {
+        await sleep(20);
+        if (request.signal.aborted) throw request.signal.reason;
+        onChunk();
+      }
+      return { text: "", toolCalls: [{ id: "call_1", name: "echo", args: { text: "hi" } }], usage: null };
+    },
+    async countTokens() {
+      return 0;
+    },
+  };
+  const tools = {
+    echo: {
+      description: "Echo text",
+      access: "read",
+      parameters: { type: "object", properties: { text: { type: "string" } }, required: ["text"] },
+      fn: async ({ text }) => text,
+    },
+  };
+
+  const runner = new AgentRunner({ provider, system: "test", tools, retry: { retries: 0, timeout: 100 } });
+  const result = await runner.run("echo hi");
+
+  assert.equal(result.status, "completed");
+  assert.equal(calls, 2);
+});
+
+function overBudgetTranscript() {
+  return [
+    { role: "user", content: "look at the logs" },
+    { role: "assistant", content: "", toolCalls: [{ id: "1", name: "readFile", args: { path: "log.txt" } }] },
+    { role: "tool", toolCallId: "1", name: "readFile", content: "x".repeat(4000) },
+    { role: "assistant", content: "Found it." },
+  ];
+}
+
+test("a summary request that never answers times out and falls back to an excerpt", async () => {
+  const context = new ContextManager({ provider: { generate: hang }, budget: 1000, keepRecent: 1 });
+  const messages = overBudgetTranscript();
+
+  const compaction = await context.fit("system", messages, { retry: { retries: 0, timeout: 50 } });
+
+  assert.equal(compaction.compacted, 1);
+  assert.match(messages[2].content, /^\[Summary of earlier readFile result\] x+ \.\.\. \(truncated from 4000 characters\)$/);
+});
+
+test("cancelling the run stops a pending summary request", async () => {
+  const context = new ContextManager({ provider: { generate: hang }, budget: 1000, keepRecent: 1 });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error("Cancelled by the user")), 20);
+
+  await assert.rejects(
+    context.fit("system", overBudgetTranscript(), { signal: controller.signal, retry: { retries: 0, timeout: 0 } }),
+    /Cancelled by the user/
+  );
+});
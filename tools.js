@@ -1,21 +1,39 @@
-import { exec } from "child_process";
+import { exec, spawn } from "child_process";
 import { promisify } from "util";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
 import { config } from "./config.js";
+import { validateInput, formatErrors, typeLabel } from "./schema.js";
+import { countLines, createUnifiedDiff, formatDiffStats } from "./diff.js";
+import { applyEdits } from "./edits.js";
+import { applyPatch, patchPaths, formatPatchSummary } from "./patch.js";
 
 const execAsync = promisify(exec);
 
+// Tool registry. Besides description, parameters and fn, each tool declares
+// returns (result shape), access (read, write or execute, for approval),
+// paths (the paths a call touches, for workspace confinement) and
+// writes (the files or directories a call changes, for checkpoints).
 export const tools = {
   executeCommand: {
     description: "Execute a shell command in the system",
-    fn: async (command) => {
+    returns: { type: "string", description: "Command stdout, or stderr when the command only wrote warnings" },
+    access: "execute",
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string", description: "Shell command to run (use OS-appropriate syntax)" },
+      },
+      required: ["command"],
+    },
+    fn: async ({ command }, { onProgress, signal } = {}) => {
       try {
-        const { stdout, stderr } = await execAsync(command, {
+        const { stdout, stderr } = await runCommand(command, {
           cwd: process.cwd(),
           maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-        });
+          signal,
+        }, onProgress && ((output) => onProgress({ output })));
         
         if (stderr && !stdout) {
           return `Command executed with warnings:\n${stderr}`;
@@ -32,7 +50,17 @@ export const tools = {
 
   readFile: {
     description: "Read contents of a file",
-    fn: async (filePath) => {
+    returns: { type: "string", description: "Path and size header followed by the full file content" },
+    access: "read",
+    paths: ({ path: filePath }) => [filePath],
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File path, relative or absolute" },
+      },
+      required: ["path"],
+    },
+    fn: async ({ path: filePath }) => {
       try {
         const absolutePath = path.isAbsolute(filePath)
           ? filePath
@@ -53,7 +81,19 @@ export const tools = {
 
   writeFile: {
     description: "Write or overwrite a file with content",
-    fn: async (input) => {
+    returns: { type: "string", description: "Confirmation with the written path, size in bytes and diff stats" },
+    access: "write",
+    paths: ({ path: filePath }) => [filePath],
+    writes: ({ path: filePath }) => [filePath],
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File path, relative or absolute" },
+        content: { type: "string", description: "Full content to write" },
+      },
+      required: ["path", "content"],
+    },
+    fn: async (input, { review } = {}) => {
       try {
         const { path: filePath, content } = input;
         
@@ -64,25 +104,148 @@ export const tools = {
         const absolutePath = path.isAbsolute(filePath)
           ? filePath
           : path.join(process.cwd(), filePath);
+
+        const previous = await fs.readFile(absolutePath, "utf-8").catch((error) => {
+          if (error.code === "ENOENT") return null;
+          throw error;
+        });
+
+        // Let the user review overwrites of existing files when running interactively
+        let finalContent = content;
+        let note = "";
+        let change = null;
+        if (review && previous !== null && previous !== content) {
+          change = createUnifiedDiff(previous, content, { oldPath: `a/${filePath}`, newPath: `b/${filePath}` });
+          const { decision, content: edited } = await review({ path: filePath, content, ...change });
+          if (decision === "reject") {
+            throw new Error(`The user rejected the change to ${filePath}; the file was not modified`);
+          }
+          if (decision === "edit") {
+            finalContent = edited;
+            note = "\nThe user edited the content before it was written; read the file to see the final version.";
+          }
+        }
         
         // Create directory if it doesn't exist
         const dir = path.dirname(absolutePath);
         await fs.mkdir(dir, { recursive: true });
         
         // Write the file
-        await fs.writeFile(absolutePath, content, "utf-8");
+        await fs.writeFile(absolutePath, finalContent, "utf-8");
         
         const stats = await fs.stat(absolutePath);
-        return `File written successfully: ${filePath}\nSize: ${stats.size} bytes`;
+        // A new file is all additions; only an overwrite needs a diff, and the reviewed one is
+        // reused unless the user edited the content
+        const changes = previous === null
+          ? `new file, ${formatDiffStats({ added: countLines(finalContent), removed: 0 })}`
+          : formatDiffStats(change && finalContent === content ? change : createUnifiedDiff(previous, finalContent));
+        return `File written successfully: ${filePath}\nSize: ${stats.size} bytes\nChanges: ${changes}${note}`;
       } catch (error) {
         throw new Error(`Failed to write file: ${error.message}`);
       }
     },
   },
 
+  editFile: {
+    description: "Edit an existing file by replacing exact text blocks. Prefer this over writeFile for changes to part of a file",
+    returns: { type: "string", description: "Confirmation with the number of edits applied and diff stats" },
+    access: "write",
+    paths: ({ path: filePath }) => [filePath],
+    writes: ({ path: filePath }) => [filePath],
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File path, relative or absolute" },
+        edits: {
+          type: "array",
+          description: "Edits applied in order; all succeed or none are applied",
+          items: {
+            type: "object",
+            properties: {
+              oldText: { type: "string", description: "Exact text to replace, including enough context to match exactly once" },
+              newText: { type: "string", description: "Replacement text" },
+            },
+            required: ["oldText", "newText"],
+          },
+        },
+        fuzzyWhitespace: { type: "boolean", description: "Also match whole lines that differ only in indentation or spacing" },
+      },
+      required: ["path", "edits"],
+    },
+    fn: async ({ path: filePath, edits, fuzzyWhitespace = false }, { review } = {}) => {
+      try {
+        const absolutePath = path.isAbsolute(filePath)
+          ? filePath
+          : path.join(process.cwd(), filePath);
+
+        const previous = await fs.readFile(absolutePath, "utf-8");
+        const content = applyEdits(previous, edits, { fuzzyWhitespace });
+        const change = createUnifiedDiff(previous, content, { oldPath: `a/${filePath}`, newPath: `b/${filePath}` });
+        if (!change.diff) {
+          return `No changes: the edits leave ${filePath} unchanged`;
+        }
+
+        let finalContent = content;
+        let note = "";
+        if (review) {
+          const { decision, content: edited } = await review({ path: filePath, content, ...change });
+          if (decision === "reject") {
+            throw new Error(`The user rejected the change to ${filePath}; the file was not modified`);
+          }
+          if (decision === "edit") {
+            finalContent = edited;
+            note = "\nThe user edited the result before it was written; read the file to see the final version.";
+          }
+        }
+
+        await fs.writeFile(absolutePath, finalContent, "utf-8");
+        const diffStats = formatDiffStats(finalContent === content ? change : createUnifiedDiff(previous, finalContent));
+        return `File edited successfully: ${filePath}\nApplied ${edits.length} edit${edits.length === 1 ? "" : "s"} (${diffStats})${note}`;
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw new Error(`File not found: ${filePath}. Use writeFile to create new files`);
+        }
+        throw new Error(`Failed to edit file: ${error.message}`);
+      }
+    },
+  },
+
+  applyPatch: {
+    description: "Apply a unified diff (--- a/file, +++ b/file, @@ hunks) that may create, modify, rename and delete several files at once. Either every file is changed or none is",
+    returns: { type: "string", description: "One line per changed file (A added, M modified, R renamed, D deleted), with notes on hunks applied at an offset or with fuzz" },
+    access: ({ dryRun } = {}) => (dryRun ? "read" : "write"),
+    paths: ({ patch }) => patchPaths(patch),
+    writes: ({ patch, dryRun }) => (dryRun ? [] : patchPaths(patch)),
+    parameters: {
+      type: "object",
+      properties: {
+        patch: { type: "string", description: "Patch text in unified diff format, as produced by git diff or diff -u" },
+        dryRun: { type: "boolean", description: "Only check that the patch applies, without writing" },
+      },
+      required: ["patch"],
+    },
+    fn: async ({ patch, dryRun = false }) => {
+      try {
+        const changes = await applyPatch(patch, { dryRun });
+        return formatPatchSummary(changes, { dryRun });
+      } catch (error) {
+        throw new Error(`Failed to apply patch: ${error.message}`);
+      }
+    },
+  },
+
   listFiles: {
     description: "List files and directories in a given path",
-    fn: async (dirPath = ".") => {
+    returns: { type: "string", description: "Directory and file entries with sizes" },
+    access: "read",
+    paths: ({ path: dirPath = "." }) => [dirPath],
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Directory path (defaults to the current directory)" },
+      },
+    },
+    fn: async ({ path: dirPath = "." } = {}) => {
       try {
         const absolutePath = path.isAbsolute(dirPath)
           ? dirPath
@@ -123,7 +286,16 @@ export const tools = {
 
   analyzeError: {
     description: "Analyze error messages and stack traces to provide debugging help",
-    fn: async (errorText) => {
+    returns: { type: "string", description: "Error type, possible causes, suggestions and the files involved" },
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        errorText: { type: "string", description: "Error message or stack trace" },
+      },
+      required: ["errorText"],
+    },
+    fn: async ({ errorText }) => {
       try {
         const analysis = {
           errorType: "Unknown",
@@ -201,6 +373,18 @@ export const tools = {
 
   searchInFiles: {
     description: "Search for text patterns in files",
+    returns: { type: "string", description: "Matches as file:line followed by the matching line (first 20)" },
+    access: "read",
+    paths: ({ directory = "." }) => [directory],
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string", description: "Text to search for" },
+        directory: { type: "string", description: "Directory to search in" },
+        fileExtension: { type: "string", description: "Only search files ending with this extension, e.g. .js" },
+      },
+      required: ["pattern"],
+    },
     fn: async (input) => {
       try {
         const { pattern, directory = ".", fileExtension } = input;
@@ -268,6 +452,8 @@ export const tools = {
 
   getSystemInfo: {
     description: "Get system information (OS, Node version, etc.)",
+    returns: { type: "string", description: "OS, architecture, tool versions, current directory and memory" },
+    access: "read",
     fn: async () => {
       try {
         const { stdout: nodeVersion } = await execAsync("node --version");
@@ -293,6 +479,22 @@ export const tools = {
   // Enhanced directory browsing capabilities
   browseDirectory: {
     description: "Browse directories with advanced filtering and navigation options",
+    returns: { type: "string", description: "Totals followed by the directory and file tree (first 50 of each)" },
+    access: "read",
+    paths: ({ path: dirPath = "." }) => [dirPath],
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Directory to browse" },
+        recursive: { type: "boolean", description: "Descend into subdirectories" },
+        maxDepth: { type: "integer", description: "Maximum depth when recursive" },
+        includeHidden: { type: "boolean", description: "Include dotfiles and dot-directories" },
+        fileTypes: { type: "array", items: { type: "string" }, description: "Extensions to include, e.g. [\".js\"]" },
+        excludeDirs: { type: "array", items: { type: "string" }, description: "Directory names to skip" },
+        sortBy: { type: "string", enum: ["name", "size", "modified"] },
+        order: { type: "string", enum: ["asc", "desc"] },
+      },
+    },
     fn: async (input) => {
       try {
         const { 
@@ -422,6 +624,21 @@ export const tools = {
   // Global file operations
   findFiles: {
     description: "Find files across directories with advanced filtering",
+    returns: { type: "string", description: "Matching files with sizes and modification dates (first 100)" },
+    access: "read",
+    paths: ({ directory = "." }) => [directory],
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string", description: "File name substring or glob such as *.test.js" },
+        directory: { type: "string", description: "Directory to search in" },
+        fileTypes: { type: "array", items: { type: "string" }, description: "Extensions that also count as a match" },
+        excludeDirs: { type: "array", items: { type: "string" }, description: "Directory names to skip" },
+        maxDepth: { type: "integer", description: "Maximum directory depth" },
+        includeHidden: { type: "boolean", description: "Include dotfiles and dot-directories" },
+      },
+      required: ["pattern"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -518,7 +735,23 @@ export const tools = {
   // Global text search and replace
   globalSearchReplace: {
     description: "Search and replace text across multiple files",
-    fn: async (input) => {
+    returns: { type: "string", description: "Files scanned, matches and replacements, and the files with matches" },
+    access: (input) => (input.dryRun === false ? "write" : "read"),
+    paths: ({ directory = "." }) => [directory],
+    writes: ({ directory = ".", dryRun = true }) => (dryRun ? [] : [directory]),
+    parameters: {
+      type: "object",
+      properties: {
+        searchText: { type: "string", description: "Text to search for" },
+        replaceText: { type: "string", description: "Replacement text" },
+        directory: { type: "string", description: "Directory to process" },
+        fileTypes: { type: "array", items: { type: "string" }, description: "Extensions to process" },
+        excludeDirs: { type: "array", items: { type: "string" }, description: "Directory names to skip" },
+        dryRun: { type: "boolean", description: "Only report matches (defaults to true)" },
+      },
+      required: ["searchText"],
+    },
+    fn: async (input, { onProgress } = {}) => {
       try {
         const { 
           searchText, 
@@ -543,6 +776,7 @@ export const tools = {
           replacements: 0,
           changes: []
         };
+        let filesScanned = 0;
 
         async function processDirectory(currentPath) {
           try {
@@ -556,6 +790,10 @@ export const tools = {
               } else if (entry.isFile()) {
                 const ext = path.extname(entry.name);
                 if (fileTypes.length === 0 || fileTypes.includes(ext)) {
+                  filesScanned++;
+                  if (onProgress && filesScanned % 25 === 0) {
+                    onProgress({ message: `Scanned ${filesScanned} files, ${results.matchesFound} matches so far` });
+                  }
                   try {
                     const content = await fs.readFile(fullPath, "utf-8");
                     const matches = content.split(searchText).length - 1;
@@ -593,6 +831,7 @@ export const tools = {
         }
 
         await processDirectory(absolutePath);
+        onProgress?.({ message: `Scanned ${filesScanned} files, ${results.matchesFound} matches` });
 
         return [
           `Global Search${dryRun ? " (DRY RUN)" : " & Replace"} Results:`,
@@ -616,6 +855,20 @@ export const tools = {
   // Project management
   createProject: {
     description: "Create a new project with structure",
+    returns: { type: "string", description: "Path of the created project" },
+    access: "write",
+    paths: ({ name, directory = "." }) => [path.join(directory, name)],
+    writes: ({ name, directory = "." }) => [path.join(directory, name)],
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Project name" },
+        type: { type: "string", description: "Template type, e.g. node or python" },
+        template: { type: "string", description: "Template name, e.g. basic or express" },
+        directory: { type: "string", description: "Parent directory" },
+      },
+      required: ["name"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -665,7 +918,22 @@ export const tools = {
   // Workspace operations
   backupWorkspace: {
     description: "Create a backup of the current workspace",
-    fn: async (input) => {
+    returns: { type: "string", description: "Backup directory and number of files copied" },
+    access: "write",
+    paths: ({ backupPath = "./backups" }) => [".", backupPath],
+    parameters: {
+      type: "object",
+      properties: {
+        backupPath: {
+          type: "string",
+          description: "Directory to store the backup in, inside the workspace or one of workspace.allowedPaths. " +
+            "It is left out of the backup. Defaults to ./backups",
+        },
+        includeNodeModules: { type: "boolean" },
+        compression: { type: "boolean" },
+      },
+    },
+    fn: async (input, { onProgress } = {}) => {
       try {
         const { 
           backupPath = "./backups",
@@ -674,17 +942,13 @@ export const tools = {
         } = input;
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupDir = path.resolve(backupPath, `backup-${timestamp}`);
-        
-        // Ensure backup directory is outside current workspace
-        const currentDir = path.resolve(process.cwd());
-        if (backupDir.startsWith(currentDir)) {
-          throw new Error("Backup directory cannot be inside the current workspace");
-        }
+        const backupRoot = path.resolve(backupPath);
+        const backupDir = path.join(backupRoot, `backup-${timestamp}`);
         
         await fs.mkdir(backupDir, { recursive: true });
 
         const excludeDirs = includeNodeModules ? [".git"] : ["node_modules", ".git"];
+        let filesCopied = 0;
 
         async function copyDirectory(src, dest) {
           await fs.mkdir(dest, { recursive: true });
@@ -694,8 +958,8 @@ export const tools = {
             const srcPath = path.join(src, entry.name);
             const destPath = path.join(dest, entry.name);
             
-            // Skip if source path is the same as destination path (avoid recursion)
-            if (path.resolve(srcPath) === path.resolve(destPath)) {
+            // Skip the backup directory and the destination itself (avoid recursion)
+            if (path.resolve(srcPath) === backupRoot || path.resolve(srcPath) === path.resolve(destPath)) {
               continue;
             }
             
@@ -708,13 +972,18 @@ export const tools = {
               await copyDirectory(srcPath, destPath);
             } else if (entry.isFile()) {
               await fs.copyFile(srcPath, destPath);
+              filesCopied++;
+              if (onProgress && filesCopied % 50 === 0) {
+                onProgress({ message: `Copied ${filesCopied} files` });
+              }
             }
           }
         }
 
         await copyDirectory(process.cwd(), backupDir);
+        onProgress?.({ message: `Copied ${filesCopied} files` });
 
-        return `Workspace backed up to ${backupDir}`;
+        return `Workspace backed up to ${backupDir} (${filesCopied} files)`;
       } catch (error) {
         throw new Error(`Backup failed: ${error.message}`);
       }
@@ -724,6 +993,14 @@ export const tools = {
   // Configuration management
   getConfig: {
     description: "Get configuration value",
+    returns: { type: "string", description: "The configuration value as JSON" },
+    access: "read",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Dot-separated config path, e.g. global.maxDepth" },
+      },
+    },
     fn: async (input) => {
       try {
         const { path: configPath } = input;
@@ -743,6 +1020,18 @@ export const tools = {
 
   setConfig: {
     description: "Set configuration value",
+    returns: { type: "string", description: "The configuration path and its new value" },
+    // Config holds the approval policy, allowlist and workspace root, so changing it is
+    // gated like a command: allow-writes must not let the agent raise its own permissions
+    access: "execute",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Dot-separated config path, e.g. global.maxDepth" },
+        value: { type: "string", description: "New value" },
+      },
+      required: ["path", "value"],
+    },
     fn: async (input) => {
       try {
         const { path: configPath, value } = input;
@@ -759,6 +1048,8 @@ export const tools = {
 
   listTemplates: {
     description: "List available project templates",
+    returns: { type: "string", description: "Templates grouped by type with their descriptions" },
+    access: "read",
     fn: async () => {
       try {
         await config.load();
@@ -782,6 +1073,17 @@ export const tools = {
 
   addTemplate: {
     description: "Add a new project template",
+    returns: { type: "string", description: "Confirmation with the template type and name" },
+    access: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        type: { type: "string", description: "Template type, e.g. node" },
+        name: { type: "string", description: "Template name" },
+        template: { type: "string", description: "JSON-encoded template with description and files" },
+      },
+      required: ["type", "name", "template"],
+    },
     fn: async (input) => {
       try {
         const { type, name, template } = input;
@@ -791,7 +1093,7 @@ export const tools = {
         }
         
         await config.load();
-        await config.addTemplate(type, name, template);
+        await config.addTemplate(type, name, typeof template === "string" ? JSON.parse(template) : template);
         
         return `Template ${type}/${name} added successfully`;
       } catch (error) {
@@ -802,6 +1104,16 @@ export const tools = {
 
   removeTemplate: {
     description: "Remove a project template",
+    returns: { type: "string", description: "Confirmation with the template type and name" },
+    access: "write",
+    parameters: {
+      type: "object",
+      properties: {
+        type: { type: "string", description: "Template type, e.g. node" },
+        name: { type: "string", description: "Template name" },
+      },
+      required: ["type", "name"],
+    },
     fn: async (input) => {
       try {
         const { type, name } = input;
@@ -822,6 +1134,9 @@ export const tools = {
 
   resetConfig: {
     description: "Reset configuration to defaults",
+    returns: { type: "string", description: "Confirmation that the configuration was reset" },
+    // Gated like setConfig
+    access: "execute",
     fn: async () => {
       try {
         await config.reset();
@@ -835,6 +1150,20 @@ export const tools = {
   // Code generation and implementation tools
   generateCode: {
     description: "Generate code based on requirements",
+    returns: { type: "string", description: "The generated code, or the output file it was written to" },
+    access: (input) => (input.outputFile ? "write" : "read"),
+    paths: ({ outputFile }) => [outputFile],
+    writes: ({ outputFile }) => [outputFile],
+    parameters: {
+      type: "object",
+      properties: {
+        language: { type: "string", description: "Target language (defaults to javascript)" },
+        type: { type: "string", enum: ["function", "class", "component", "api", "test"] },
+        description: { type: "string", description: "What the code should do" },
+        requirements: { type: "string", description: "Additional requirements" },
+        outputFile: { type: "string", description: "File to write the code to" },
+      },
+    },
     fn: async (input) => {
       try {
         const { 
@@ -892,6 +1221,21 @@ export const tools = {
 
   implementFeature: {
     description: "Implement a complete feature with multiple files",
+    returns: { type: "string", description: "Feature directory and the files created" },
+    access: "write",
+    paths: (input) => [featureDirectory(input)],
+    writes: (input) => [featureDirectory(input)],
+    parameters: {
+      type: "object",
+      properties: {
+        feature: { type: "string", description: "Feature description" },
+        language: { type: "string" },
+        framework: { type: "string" },
+        outputDir: { type: "string" },
+        includeTests: { type: "boolean" },
+      },
+      required: ["feature"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -906,7 +1250,7 @@ export const tools = {
           throw new Error("Feature description is required");
         }
 
-        const featureDir = path.join(outputDir, feature.toLowerCase().replace(/\s+/g, '-'));
+        const featureDir = featureDirectory({ feature, outputDir });
         await fs.mkdir(featureDir, { recursive: true });
 
         const files = [];
@@ -940,6 +1284,22 @@ export const tools = {
 
   refactorCode: {
     description: "Refactor existing code to improve structure and performance",
+    returns: { type: "string", description: "Path of the refactored file" },
+    access: "write",
+    paths: ({ filePath, outputFile }) => [filePath, outputFile || filePath.replace(/\.(js|ts)$/, ".refactored.$1")],
+    writes: ({ filePath, outputFile }) => [outputFile || filePath.replace(/\.(js|ts)$/, ".refactored.$1")],
+    parameters: {
+      type: "object",
+      properties: {
+        filePath: { type: "string", description: "File to refactor" },
+        refactorType: {
+          type: "string",
+          enum: ["optimize", "modernize", "add-types", "add-error-handling", "add-documentation"],
+        },
+        outputFile: { type: "string", description: "Where to save the result (defaults to <file>.refactored.<ext>)" },
+      },
+      required: ["filePath"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -989,6 +1349,32 @@ export const tools = {
 
   createAPI: {
     description: "Create a complete API with endpoints, middleware, and documentation",
+    returns: { type: "string", description: "API directory and the files created" },
+    access: "write",
+    paths: ({ name, outputDir = "." }) => [path.join(outputDir, name)],
+    writes: ({ name, outputDir = "." }) => [path.join(outputDir, name)],
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "API name" },
+        framework: { type: "string" },
+        endpoints: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              method: { type: "string", enum: ["get", "post", "put", "patch", "delete"] },
+              path: { type: "string" },
+            },
+          },
+        },
+        outputDir: { type: "string" },
+        includeAuth: { type: "boolean" },
+        includeValidation: { type: "boolean" },
+      },
+      required: ["name"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -1050,7 +1436,29 @@ export const tools = {
 
   // Enhanced web application generation
   generateApp: {
-    description: "Generate a complete web application with HTML, CSS, and JavaScript",
+    description: "Generate a complete, ready-to-run web application with HTML, CSS, and JavaScript. Use it for requests like \"calculator\", \"todo app\" or \"weather app\"",
+    returns: { type: "string", description: "App directory, the files created and how to run the app" },
+    access: "write",
+    paths: ({ name, outputDir = "." }) => [path.join(outputDir, name)],
+    writes: ({ name, outputDir = "." }) => [path.join(outputDir, name)],
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "App name, also the name of the directory created" },
+        type: {
+          type: "string",
+          enum: ["calculator", "todo", "weather", "custom"],
+          description: "calculator (default): arithmetic with keyboard support; todo: add/edit/delete, filtering and local storage; " +
+            "weather: city search and current conditions; custom: generic web app template",
+        },
+        framework: { type: "string", description: "vanilla (default), react, vue, ..." },
+        outputDir: { type: "string", description: "Directory to create the app in (default: the current directory)" },
+        includeStyles: { type: "boolean", description: "Generate a stylesheet (default true)" },
+        includeTests: { type: "boolean", description: "Generate tests (default false)" },
+        features: { type: "array", items: { type: "string" }, description: "Additional features to include (default none)" },
+      },
+      required: ["name"],
+    },
     fn: async (input) => {
       try {
         const { 
@@ -1120,6 +1528,148 @@ export const tools = {
   },
 };
 
+// Build provider-neutral function declarations from the tool registry
+export function getFunctionDeclarations(toolset = tools) {
+  return Object.entries(toolset).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    ...(tool.parameters && { parameters: tool.parameters }),
+  }));
+}
+
+// Validate and coerce the input against the tool's schema, then run it.
+// Invalid input is rejected with field-level errors before the tool is called.
+export async function executeTool(name, input, context = {}, toolset = tools) {
+  const tool = toolset[name];
+  if (!tool) {
+    throw new Error(`Tool '${name}' not found`);
+  }
+
+  const { value, errors } = validateInput(tool.parameters, input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid input for ${name}:\n${formatErrors(errors)}`);
+  }
+
+  return tool.fn(value, context);
+}
+
+// One line per tool for the system prompt, e.g.
+// - readFile(path: string): Read contents of a file. Returns: ...
+export function describeTools(toolset = tools) {
+  return Object.entries(toolset).map(([name, tool]) => {
+    const properties = tool.parameters?.properties || {};
+    const required = tool.parameters?.required || [];
+    const signature = Object.entries(properties)
+      .map(([key, schema]) => `${key}${required.includes(key) ? "" : "?"}: ${typeLabel(schema)}`)
+      .join(", ");
+    const returns = tool.returns ? ` Returns: ${tool.returns.description}.` : "";
+    return `- ${name}(${signature}): ${tool.description}.${returns}`;
+  }).join("\n");
+}
+
+// Detailed help for a single tool, generated from its schema
+export function formatToolHelp(name, tool) {
+  const properties = tool.parameters?.properties || {};
+  const required = tool.parameters?.required || [];
+  const rows = Object.entries(properties).map(([key, schema]) => [
+    key,
+    `${typeLabel(schema)}${required.includes(key) ? " (required)" : ""}`,
+    schema.description || "",
+  ]);
+  const keyWidth = Math.max(0, ...rows.map(([key]) => key.length));
+  const typeWidth = Math.max(0, ...rows.map(([, type]) => type.length));
+  const lines = [`${name} - ${tool.description}`];
+
+  if (rows.length === 0) {
+    lines.push("  Parameters: none");
+  } else {
+    lines.push("  Parameters:");
+    for (const [key, type, description] of rows) {
+      lines.push(`    ${key.padEnd(keyWidth)}  ${type.padEnd(typeWidth)}  ${description}`.trimEnd());
+    }
+  }
+
+  if (tool.returns) {
+    lines.push(`  Returns: ${typeLabel(tool.returns)} - ${tool.returns.description}`);
+  }
+  return lines.join("\n");
+}
+
+// Commands started by executeCommand that are still running, killed when the CLI exits
+const runningCommands = new Set();
+process.once("exit", () => runningCommands.forEach((child) => killProcessTree(child, "SIGKILL")));
+
+// Run a shell command like execAsync, passing stdout/stderr chunks to onOutput as they arrive.
+// Aborting the signal kills the command together with everything it started.
+function runCommand(command, { cwd, maxBuffer, signal }, onOutput) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error("Command was cancelled before it started"));
+      return;
+    }
+
+    // On POSIX the shell leads its own process group so the whole group can be killed
+    const child = spawn(command, { cwd, shell: true, detached: process.platform !== "win32" });
+    runningCommands.add(child);
+    let stdout = "";
+    let stderr = "";
+    let failure = null;
+
+    const stop = (error) => {
+      failure ||= error;
+      killProcessTree(child, "SIGTERM");
+      // Commands that ignore SIGTERM are killed for good shortly after
+      setTimeout(() => killProcessTree(child, "SIGKILL"), 2000).unref();
+    };
+    const cancel = () => stop(new Error("Command was cancelled"));
+    signal?.addEventListener("abort", cancel, { once: true });
+
+    const collect = (stream, append) => {
+      stream.on("data", (chunk) => {
+        const text = chunk.toString();
+        append(text);
+        if (stdout.length + stderr.length > maxBuffer) stop(new Error("Output exceeded maxBuffer"));
+        onOutput?.(text);
+      });
+    };
+    collect(child.stdout, (text) => { stdout += text; });
+    collect(child.stderr, (text) => { stderr += text; });
+
+    child.on("error", (error) => stop(error));
+    child.on("close", (code, killedBy) => {
+      runningCommands.delete(child);
+      signal?.removeEventListener("abort", cancel);
+
+      if (failure) {
+        reject(Object.assign(failure, { stdout, stderr }));
+      } else if (code !== 0) {
+        const reason = killedBy ? `killed by ${killedBy}` : `exit code ${code}`;
+        reject(Object.assign(new Error(`Command failed (${reason}): ${command}\n${stderr}`), { code, stdout, stderr }));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+  });
+}
+
+// The group is signalled even after the shell exited, since background jobs may still hold it
+function killProcessTree(child, signal) {
+  try {
+    if (process.platform !== "win32") {
+      process.kill(-child.pid, signal);
+    } else if (child.exitCode === null) {
+      spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], { stdio: "ignore" });
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// Directory implementFeature creates, e.g. "src/user-login" for the feature "User login"
+function featureDirectory({ feature, outputDir = "." }) {
+  return path.join(outputDir, feature.toLowerCase().replace(/\s+/g, "-"));
+}
+
 // Helper function to format bytes
 function formatBytes(bytes) {
   if (bytes === 0) return "0 B";
@@ -0,0 +1,104 @@
+// Token usage and estimated cost of model calls, added up per task (one user request)
+// and per session. Prices are in USD per million tokens, from config.ai.prices.
+export class UsageTracker {
+  constructor({ model = null, prices = {}, maxTokens = null, maxCost = null, session = null } = {}) {
+    this.model = model;
+    this.price = findPrice(prices, model);
+    // Values set with `config set` arrive as strings
+    this.maxTokens = Number(maxTokens) || null;
+    this.maxCost = Number(maxCost) || null;
+    this.session = session || emptyTotals(this.price);
+    this.task = emptyTotals(this.price);
+  }
+
+  // Start counting a new task; session totals carry on
+  startTask() {
+    this.task = emptyTotals(this.price);
+  }
+
+  // A view for sub-agents: their calls count towards the current task and its budget,
+  // and starting their own runs does not reset the task totals
+  forSubtask() {
+    const view = Object.create(this);
+    view.startTask = () => {};
+    return view;
+  }
+
+  // Start a new session, e.g. after the conversation was cleared
+  reset() {
+    this.session = emptyTotals(this.price);
+    this.startTask();
+  }
+
+  // Add the usage of one model call. Returns it with its estimated cost (null without a price).
+  record(usage) {
+    const entry = {
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      totalTokens: usage?.totalTokens || (usage?.promptTokens || 0) + (usage?.completionTokens || 0),
+      cost: this.price ? costOf(usage, this.price) : null,
+      ...(usage?.estimated && { estimated: true }),
+    };
+
+    for (const totals of [this.task, this.session]) {
+      totals.calls++;
+      totals.promptTokens += entry.promptTokens;
+      totals.completionTokens += entry.completionTokens;
+      totals.totalTokens += entry.totalTokens;
+      if (totals.cost !== null && entry.cost !== null) totals.cost += entry.cost;
+      if (entry.estimated) totals.estimated = true;
+    }
+    return entry;
+  }
+
+  // Why the current task is over budget, or null. A cost limit needs a price for the model.
+  exceeded() {
+    if (this.maxTokens && this.task.totalTokens >= this.maxTokens) {
+      return `Token budget exceeded: ${this.task.totalTokens.toLocaleString()} of ${this.maxTokens.toLocaleString()} tokens used`;
+    }
+    if (this.maxCost && this.task.cost !== null && this.task.cost >= this.maxCost) {
+      return `Cost budget exceeded: ${formatCost(this.task.cost)} of ${formatCost(this.maxCost)} spent`;
+    }
+    return null;
+  }
+}
+
+// Rough usage (about 4 characters per token) for responses that did not report any
+export function estimateUsage({ system, messages = [] }, response) {
+  const promptTokens = Math.ceil(((system || "").length + JSON.stringify(messages).length) / 4);
+  const completionTokens = Math.ceil(
+    ((response.text || "").length + JSON.stringify(response.toolCalls || []).length) / 4
+  );
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+// "1,234 tokens (1,000 in / 234 out), ~$0.0012"
+export function formatUsage({ promptTokens, completionTokens, totalTokens, cost, estimated }) {
+  const tokens = `${estimated ? "~" : ""}${totalTokens.toLocaleString()} tokens ` +
+    `(${promptTokens.toLocaleString()} in / ${completionTokens.toLocaleString()} out)`;
+  return cost === null || cost === undefined ? tokens : `${tokens}, ~${formatCost(cost)}`;
+}
+
+export function formatCost(cost) {
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// Price of a model: an exact entry, or the longest entry the model name starts with,
+// so "gemini-2.0-flash" also prices "gemini-2.0-flash-exp"
+function findPrice(prices, model) {
+  if (!model || !prices) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+function costOf(usage, price) {
+  return ((usage?.promptTokens || 0) * (price.input || 0) + (usage?.completionTokens || 0) * (price.output || 0)) / 1e6;
+}
+
+function emptyTotals(price) {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: price ? 0 : null };
+}
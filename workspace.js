@@ -0,0 +1,84 @@
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+// Confines the paths agent tools touch to a workspace root plus optional extra allowed paths.
+// Paths are resolved through symlinks, so a link inside the workspace that points outside is refused.
+export class Workspace {
+  constructor({ root, allowedPaths } = {}) {
+    this.root = path.resolve(expandHome(root || process.cwd()));
+    this.allowedPaths = (allowedPaths || []).map((allowed) => path.resolve(expandHome(allowed)));
+    this.resolvedRoots = null;
+  }
+
+  // Real paths of the root and the allowed paths, resolved once
+  async roots() {
+    if (!this.resolvedRoots) {
+      this.resolvedRoots = await Promise.all([this.root, ...this.allowedPaths].map(realPath));
+    }
+    return this.resolvedRoots;
+  }
+
+  // Resolve a path the way the tools do (relative to the current directory) and check it.
+  // Returns the real path, or throws when it is outside the workspace.
+  async resolve(target) {
+    const absolute = path.resolve(process.cwd(), String(target));
+    const real = await realPath(absolute);
+    const roots = await this.roots();
+
+    if (!roots.some((root) => isInside(root, real))) {
+      const via = real === absolute ? "" : ` (resolves to ${real})`;
+      const extra = this.allowedPaths.length > 0 ? ` or the allowed paths ${this.allowedPaths.join(", ")}` : "";
+      throw new Error(`Path '${target}'${via} is outside the workspace ${this.root}${extra}`);
+    }
+    return real;
+  }
+
+  // Check every path a tool call would touch. Returns the first violation, or null.
+  async check(tool, input = {}) {
+    if (!tool?.paths) {
+      return null;
+    }
+
+    for (const target of tool.paths(input)) {
+      if (target === undefined || target === null || target === "") continue;
+      try {
+        await this.resolve(target);
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+}
+
+// Real path of a file that may not exist yet: resolve the nearest existing ancestor
+// and append the rest, so writes through a symlinked directory are caught too
+async function realPath(absolute) {
+  const rest = [];
+  let current = absolute;
+
+  while (true) {
+    try {
+      return path.join(await fs.realpath(current), ...rest.reverse());
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return absolute;
+      }
+      rest.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === "" || (relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// Allowed paths in the config may start with ~
+function expandHome(target) {
+  return target === "~" || target.startsWith("~/") ? path.join(os.homedir(), target.slice(1)) : target;
+}